@@ -0,0 +1,143 @@
+// # CSV (prsly-csv)
+//
+// A parser for comma separated values, as described in [RFC 4180](https://www.rfc-editor.org/rfc/rfc4180).
+// A file is a list of records, one per line. Each record is a list of
+// fields, separated by commas. Fields which hold commas, quotes or line
+// breaks must be quoted, with any quotes inside doubled up.
+//
+//     name,quote
+//     Kris,"He said ""hi"", and left."
+//
+// The RFC says lines end in CRLF. Plenty of files out there only use LF, so
+// we take either. Apart from that we're strict: a quote in an unquoted
+// field, or anything after the closing quote of a quoted one, is an error.
+
+const assert = require('assert')
+define(['prsly'], function (_) {
+
+  // ## The grammar
+  //
+  // We build the grammar for a given separator, as not everyone uses commas.
+  // Semicolons and tabs are popular too.
+  function grammar(separator) {
+    const escaped_separator = separator.replace(/[\\^$.*+?()[\]{}|-]/g, '\\$&')
+
+    const quoted = _.pattern(/"((?:[^"]|"")*)"/)
+      .as(([all, inner]) => inner.replace(/""/g, '"'))
+    const plain = _.pattern(new RegExp('[^"\\r\\n' + escaped_separator + ']*'))
+    const field = _.choice(quoted, plain).named('field')
+
+    const line_break = _.choice(_.text('\r\n'), _.text('\n')).as(_.ignored_value).named('line break')
+    const comma = _.text(separator).as(_.ignored_value)
+
+    // A record may be a single empty field, which means that a line break at
+    // the very end would be followed by one. That's not how anyone reads a
+    // file though, so a record can't start at the end of the input.
+    const record = _.sequence(_.not(_.at_end), _.sep_by1(field, comma)).as(_.first_value)
+
+    const records = _.sequence(_.sep_by(record, line_break), _.optional(line_break), _.at_end)
+      .as(_.first_value)
+
+    return { field: field, record: record, records: records }
+  }
+
+  const standard = grammar(',')
+
+  // ## Parsing
+  //
+  // `parse` gives us a list of records, each of which is a list of strings.
+  // Options:
+  //
+  // - `separator`: what separates fields, if not a comma,
+  // - `header`: whether the first record holds names for the fields. If so,
+  //   every other record becomes an object, mapping those names onto its
+  //   fields. Every record then needs to have as many fields as the header.
+  function parse(text, options) {
+    options = options || {}
+    const parsers = options.separator === undefined ? standard : grammar(options.separator)
+
+    const input = new _.Stream(_.from_string(text))
+    const [rest, records] = parsers.records(input)
+    if (rest == _.NO_MATCH) throw new Error('Bad CSV; ' + input.failure().message)
+    if (!options.header || records.length == 0) return records
+
+    const [names, ...rows] = records
+    return rows.map((row, i) => {
+      if (row.length != names.length)
+        throw new Error('Bad CSV; record ' + (i + 2) + ' has ' + row.length
+          + ' fields, rather than ' + names.length + '.')
+
+      const named = {}
+      names.forEach((name, j) => own(named, name, row[j]))
+      return named
+    })
+  }
+
+  // As [for JSON](prsly-json.js), we can't just assign fields. A column named
+  // `__proto__` would change the prototype of the record, rather than add a
+  // field to it.
+  function own(target, name, field) {
+    Object.defineProperty(target, name,
+      { value: field, writable: true, enumerable: true, configurable: true })
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    // The examples from the RFC.
+    assert.deepStrictEqual(parse('aaa,bbb,ccc\r\nzzz,yyy,xxx\r\n'), [['aaa', 'bbb', 'ccc'], ['zzz', 'yyy', 'xxx']])
+    assert.deepStrictEqual(parse('aaa,bbb,ccc\r\nzzz,yyy,xxx'), [['aaa', 'bbb', 'ccc'], ['zzz', 'yyy', 'xxx']])
+    assert.deepStrictEqual(parse('"aaa","bbb","ccc"\r\nzzz,yyy,xxx'), [['aaa', 'bbb', 'ccc'], ['zzz', 'yyy', 'xxx']])
+    assert.deepStrictEqual(parse('"aaa","b\r\nbb","ccc"\r\nzzz,yyy,xxx'), [['aaa', 'b\r\nbb', 'ccc'], ['zzz', 'yyy', 'xxx']])
+    assert.deepStrictEqual(parse('"aaa","b""bb","ccc"'), [['aaa', 'b"bb', 'ccc']])
+
+    // Empty files, fields and lines.
+    assert.deepStrictEqual(parse(''), [])
+    assert.deepStrictEqual(parse('\r\n'), [['']])
+    assert.deepStrictEqual(parse(','), [['', '']])
+    assert.deepStrictEqual(parse('a,,b\n,\n""'), [['a', '', 'b'], ['', ''], ['']])
+    assert.deepStrictEqual(parse('a\n\nb'), [['a'], [''], ['b']])
+
+    // Spaces are part of a field, and quoted fields may hold anything.
+    assert.deepStrictEqual(parse(' a , b '), [[' a ', ' b ']])
+    assert.deepStrictEqual(parse('"a,b","\n","""",é'), [['a,b', '\n', '"', 'é']])
+
+    // Quotes where they don't belong.
+    assert.throws(() => parse('a"b'), /Bad CSV; line 1, col 2: /)
+    assert.throws(() => parse('"a"b'), /Bad CSV; line 1, col 4: /)
+    assert.throws(() => parse('"a'), /Bad CSV; line 1, col 1: /)
+    assert.throws(() => parse('a,b\n"c" ,d'), /Bad CSV; line 2, col 4: /)
+
+    // Other separators.
+    assert.deepStrictEqual(parse('a;b,c\n"d;e";f', { separator: ';' }), [['a', 'b,c'], ['d;e', 'f']])
+    assert.deepStrictEqual(parse('a\tb|c', { separator: '\t' }), [['a', 'b|c']])
+    assert.deepStrictEqual(parse('a|b', { separator: '|' }), [['a', 'b']])
+
+    // Headers.
+    assert.deepStrictEqual(parse('name,age\r\nKris,42\r\n"Doe, Jane",\r\n', { header: true }),
+      [{ name: 'Kris', age: '42' }, { name: 'Doe, Jane', age: '' }])
+    assert.deepStrictEqual(parse('name,age', { header: true }), [])
+    assert.throws(() => parse('a,b\n1,2\n3', { header: true }), /Bad CSV; record 3 has 1 fields, rather than 2\./)
+
+    // Names which happen to be those of prototype members are names like any
+    // other.
+    const [proto] = parse('__proto__,b\n1,2', { header: true })
+    assert(Object.getPrototypeOf(proto) === Object.prototype)
+    assert.deepStrictEqual(Object.keys(proto), ['__proto__', 'b'])
+    assert.equal(proto.__proto__, '1')
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Wrapping up
+  //
+  // Next to `parse` we expose the grammar, for other separators, and for use
+  // in other grammars.
+  return {
+    parse: parse,
+    grammar: grammar,
+    field: standard.field,
+    record: standard.record,
+    records: standard.records
+  }
+})
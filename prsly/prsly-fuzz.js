@@ -0,0 +1,741 @@
+// # Testing with made up inputs (prsly-fuzz)
+//
+// `assert_that` lets us check our parsers against examples. But examples are
+// only as good as our imagination, and we tend to imagine the inputs we had
+// in mind when writing the parser. Which are exactly the ones it handles.
+//
+// So let's have prsly come up with inputs for us. Parsers [describe](prsly.html#describing-parsers)
+// what they're made of, which is enough to make up text they should accept:
+// walk the description, take a random alternative for every `choice`, a
+// random number of repetitions for every `many`, and so on. From inputs which
+// are valid we can get invalid ones by changing them a little.
+//
+// With plenty of inputs we can then check properties of our parsers which
+// should hold for all of them. The most useful one is the round trip: if we
+// turn a parsed value back into text, does that parse into the same value ?
+// When a property doesn't hold we try to find the smallest input for which it
+// still fails, as that makes it a lot easier to see what's going on.
+//
+// We only deal with text here.
+
+const assert = require('assert')
+const { isDeepStrictEqual } = require('util')
+define(['prsly'], function (_) {
+
+  // ## Randomness
+  //
+  // When a check fails we want to be able to run it again, and see it fail
+  // in the same way. So rather than `Math.random` we use a generator which
+  // we can give a seed. (This one is [mulberry32](https://gist.github.com/tommyettinger/46a874533244883189143505d203312c).)
+  function random_from(seed) {
+    let state = seed >>> 0
+    const next = () => {
+      state = (state + 0x6D2B79F5) >>> 0
+      let t = state
+      t = Math.imul(t ^ t >>> 15, t | 1)
+      t ^= t + Math.imul(t ^ t >>> 7, t | 61)
+      return ((t ^ t >>> 14) >>> 0) / 4294967296
+    }
+    const below = n => Math.floor(next() * n)
+    return {
+      below: below,
+      pick: list => list[below(list.length)],
+      chance: p => next() < p
+    }
+  }
+
+  // Parsers for single characters are tests we can't look into. What we can
+  // do is try them on a bunch of characters, and keep the ones they accept.
+  // These are the characters we try.
+  const ALPHABET = Array.from({ length: 95 }, (x, i) => String.fromCharCode(32 + i))
+    .concat(['\n', '\t', '\r', 'é', 'λ', '€'])
+
+  // ## Options
+  //
+  // Everything below takes the same options, all of which have defaults:
+  //
+  // - `count`: how many inputs we want,
+  // - `seed`: for the random generator; a failed check reports what it was,
+  // - `max_depth`: how deeply we may nest rules before we start looking for
+  //   the quickest way out,
+  // - `max_repeat`: how many extra repetitions `many` and friends may make up,
+  // - `given`: a `Map` from parsers to functions which make up input for them,
+  //   for parsers we can't look into. These get passed the random generator.
+  function settings(options) {
+    return Object.assign({
+      count: 100,
+      seed: Date.now() % 4294967296,
+      max_depth: 8,
+      max_repeat: 3,
+      given: new Map()
+    }, options)
+  }
+
+  // ## Making up valid inputs
+  //
+  // When making up input for a parser, we keep track of how deeply we're
+  // nested, and remember what we found out about parsers along the way.
+  //
+  // Not everything can be made up. There's no telling what a custom parser
+  // wants, for instance. When we get stuck we throw, and try again with
+  // different choices.
+  const STUCK = { toString: () => "can't make up input" }
+
+  function generated(parser, context) {
+    if (context.given.has(parser)) return context.given.get(parser)(context.random)
+
+    const description = _.description_of(parser)
+    const [first, second, third] = description.children
+    const more = child => generated(child, context)
+    const random = context.random
+
+    switch (description.kind) {
+      case 'rule':
+        context.depth++
+        try { return more(first) }
+        finally { context.depth-- }
+
+      case 'memoized':
+      case 'located':
+      case 'recover':
+      case 'commit':
+      case 'provided':
+      case 'label':
+        return more(first)
+
+      case 'text':
+        return description.text
+
+      case 'literal':
+        if (typeof description.value !== 'string') throw STUCK
+        return description.value
+
+      case 'is':
+      case 'any':
+        return random.pick(single_characters(parser, context))
+
+      case 'pattern':
+        return from_regexp(description.pattern, context)
+
+      case 'empty':
+      case 'at_end':
+      case 'not':
+      case 'skip_to':
+        return ''
+
+      case 'sequence':
+      case 'fields':
+        return description.children.map(more).join('')
+
+      case 'choice':
+        return more(alternative(description.children, context))
+
+      case 'many':
+        return repeated(0, () => more(first), context)
+
+      case 'count':
+        return Array.from({ length: description.count }, () => more(first)).join('')
+
+      case 'at_least':
+        return repeated(description.count, () => more(first), context)
+
+      case 'optional':
+        return !deep(context) && random.chance(0.5) ? more(first) : ''
+
+      case 'sep_by1':
+      case 'chainl1':
+      case 'chainr1':
+        return more(first) + repeated(0, () => more(second) + more(first), context)
+
+      case 'sep_by':
+        return !deep(context) && random.chance(0.8)
+          ? more(first) + repeated(0, () => more(second) + more(first), context)
+          : ''
+
+      case 'end_by':
+        return repeated(0, () => more(first) + more(second), context)
+
+      case 'between':
+      case 'enclosed':
+        return more(first) + more(second) + more(third)
+
+      case 'operators':
+        return expression(first, description.table, context)
+
+      default:
+        throw STUCK
+    }
+  }
+
+  function deep(context) {
+    return context.depth >= context.max_depth
+  }
+
+  // Repetitions make up to `max_repeat` more than they must. Once we're deep
+  // enough, they make only what they must.
+  function repeated(minimum, make, context) {
+    const times = deep(context) ? minimum : minimum + context.random.below(context.max_repeat + 1)
+    let made = ''
+    for (let i = 0; i < times; i++) made += make()
+    return made
+  }
+
+  // Alternatives get picked at random, until we're deep enough. Then we pick
+  // whichever gets us out the quickest.
+  function alternative(alternatives, context) {
+    if (!deep(context)) return context.random.pick(alternatives)
+
+    const depths = alternatives.map(parser => least_depth(parser, context, new Set()))
+    return alternatives[depths.indexOf(Math.min(...depths))]
+  }
+
+  // This is the least number of rules we need to go through to get out of a
+  // parser. A rule which we're already in doesn't get us out at all.
+  function least_depth(parser, context, visiting) {
+    if (context.depths.has(parser)) return context.depths.get(parser)
+
+    const description = _.description_of(parser)
+    const [first] = description.children
+    const inner = child => least_depth(child, context, visiting)
+
+    let depth
+    switch (description.kind) {
+      case 'rule':
+        if (visiting.has(parser)) return Infinity
+        visiting.add(parser)
+        depth = 1 + inner(first)
+        visiting.delete(parser)
+        break
+
+      case 'memoized':
+      case 'located':
+      case 'recover':
+      case 'commit':
+      case 'provided':
+      case 'label':
+      case 'sep_by1':
+      case 'chainl1':
+      case 'chainr1':
+      case 'operators':
+        depth = inner(first)
+        break
+
+      case 'count':
+      case 'at_least':
+        depth = description.count == 0 ? 0 : inner(first)
+        break
+
+      case 'sequence':
+      case 'fields':
+      case 'between':
+      case 'enclosed':
+        depth = Math.max(0, ...description.children.map(inner))
+        break
+
+      case 'choice':
+        depth = Math.min(...description.children.map(inner))
+        break
+
+      default:
+        depth = 0
+    }
+
+    if (depth < Infinity) context.depths.set(parser, depth)
+    return depth
+  }
+
+  // The characters a single character parser accepts, from our alphabet.
+  function single_characters(parser, context) {
+    if (!context.characters.has(parser))
+      context.characters.set(parser, ALPHABET.filter(character => {
+        const [next] = parser(new _.Stream(_.from_string(character)))
+        return next != _.NO_MATCH && next.offset == 1
+      }))
+
+    const characters = context.characters.get(parser)
+    if (characters.length == 0) throw STUCK
+    return characters
+  }
+
+  // Operators get a random mix of prefix, infix and postfix operators around
+  // their operands.
+  function expression(operand, table, context) {
+    const of_kind = kind => table.filter(entry => entry.kind == kind).map(entry => entry.operator)
+    const [prefixes, infixes, postfixes] = ['prefix', 'infix', 'postfix'].map(of_kind)
+    const random = context.random
+
+    const term = () => {
+      let made = generated(operand, context)
+      if (prefixes.length > 0 && !deep(context) && random.chance(0.3))
+        made = generated(random.pick(prefixes), context) + made
+      if (postfixes.length > 0 && !deep(context) && random.chance(0.3))
+        made = made + generated(random.pick(postfixes), context)
+      return made
+    }
+
+    return term() + (infixes.length == 0 ? ''
+      : repeated(0, () => generated(random.pick(infixes), context) + term(), context))
+  }
+
+  // ### Regular expressions
+  //
+  // Patterns are a grammar of their own, so we read them the same way. Only
+  // we don't turn them into parsers, but into functions which make up text.
+  // We handle the usual bits: characters and escapes, classes, groups,
+  // alternatives and quantifiers. Anchors and lookahead we skip, and back
+  // references we give up on.
+  function from_regexp(regexp, context) {
+    if (!context.regexps.has(regexp))
+      context.regexps.set(regexp, regexp_reader(regexp.source).alternatives())
+    return context.regexps.get(regexp)(context)
+  }
+
+  function regexp_reader(source) {
+    let at = 0
+    const peek = () => source[at]
+    const take = () => source[at++]
+
+    const any_of = characters => context => {
+      if (characters.length == 0) throw STUCK
+      return context.random.pick(characters)
+    }
+    const nothing = () => ''
+
+    const reader = {
+      alternatives: () => {
+        const options = [reader.sequence()]
+        while (peek() == '|') {
+          take()
+          options.push(reader.sequence())
+        }
+        return context => context.random.pick(options)(context)
+      },
+
+      sequence: () => {
+        const items = []
+        while (at < source.length && peek() != '|' && peek() != ')') {
+          const atom = reader.atom()
+          const [minimum, maximum] = reader.quantifier()
+          items.push(context => {
+            const extra = maximum === undefined ? context.max_repeat : maximum - minimum
+            const times = minimum + (deep(context) ? 0 : context.random.below(extra + 1))
+            let made = ''
+            for (let i = 0; i < times; i++) made += atom(context)
+            return made
+          })
+        }
+        return context => items.map(item => item(context)).join('')
+      },
+
+      atom: () => {
+        const character = take()
+        switch (character) {
+          case '(':
+            // Groups may be named, or not capture at all. Lookarounds (the
+            // ones with a `=` or `!`) match nothing, so we skip them.
+            let skipped = false
+            if (peek() == '?') {
+              take()
+              if (peek() == '<' && source[at + 1] != '=' && source[at + 1] != '!') {
+                while (take() != '>');
+              } else {
+                if (peek() == '<') take()
+                skipped = take() != ':'
+              }
+            }
+            const inner = reader.alternatives()
+            take()
+            return skipped ? nothing : inner
+
+          case '[':
+            return any_of(reader.character_class())
+          case '.':
+            return any_of(ALPHABET.filter(c => c != '\n' && c != '\r'))
+          case '^':
+          case '$':
+            return nothing
+          case '\\':
+            const escaped = reader.escape()
+            return typeof escaped === 'function' ? escaped : any_of(escaped)
+          default:
+            return () => character
+        }
+      },
+
+      // Escapes stand for a list of characters, except for the ones which
+      // don't stand for any character at all.
+      escape: () => {
+        const character = take()
+        const not_in = list => ALPHABET.filter(c => !list.includes(c))
+        switch (character) {
+          case 'd': return DIGITS
+          case 'w': return WORD
+          case 's': return SPACE
+          case 'D': return not_in(DIGITS)
+          case 'W': return not_in(WORD)
+          case 'S': return not_in(SPACE)
+          case 'n': return ['\n']
+          case 'r': return ['\r']
+          case 't': return ['\t']
+          case 'b':
+          case 'B': return nothing
+          case 'x': return [String.fromCharCode(parseInt(take() + take(), 16))]
+          case 'u': return [String.fromCharCode(parseInt(take() + take() + take() + take(), 16))]
+          default:
+            if (character >= '0' && character <= '9') throw STUCK
+            return [character]
+        }
+      },
+
+      character_class: () => {
+        const negated = peek() == '^'
+        if (negated) take()
+
+        let characters = []
+        let first = true
+        while (at < source.length && (peek() != ']' || first)) {
+          first = false
+          let from = take()
+          if (from == '\\') {
+            const escaped = reader.escape()
+            if (typeof escaped === 'function') continue
+            if (escaped.length != 1) {
+              characters = characters.concat(escaped)
+              continue
+            }
+            from = escaped[0]
+          }
+
+          if (peek() == '-' && source[at + 1] != ']' && at + 1 < source.length) {
+            take()
+            let to = take()
+            if (to == '\\') to = reader.escape()[0]
+            characters = characters.concat(ALPHABET.filter(c => c >= from && c <= to))
+          } else {
+            characters.push(from)
+          }
+        }
+        take()
+
+        return negated ? ALPHABET.filter(c => !characters.includes(c)) : characters
+      },
+
+      quantifier: () => {
+        let range = [1, 1]
+        if (peek() == '*') range = [0, undefined]
+        else if (peek() == '+') range = [1, undefined]
+        else if (peek() == '?') range = [0, 1]
+        else if (peek() == '{' && /^\{\d+(,\d*)?\}/.test(source.substring(at))) {
+          const [all, low, comma, high] = /^\{(\d+)(,?)(\d*)\}/.exec(source.substring(at))
+          at += all.length - 1
+          range = [parseInt(low), comma == '' ? parseInt(low) : high == '' ? undefined : parseInt(high)]
+        } else {
+          return range
+        }
+
+        take()
+        if (peek() == '?') take()
+        return range
+      }
+    }
+
+    return reader
+  }
+
+  const DIGITS = '0123456789'.split('')
+  const WORD = ALPHABET.filter(c => /\w/.test(c))
+  const SPACE = [' ', '\t', '\n', '\r']
+
+  // ### Keeping the valid ones
+  //
+  // Making up input by walking the grammar gets us close, but not always all
+  // the way. PEGs are greedy, and order matters: a `many` may take more than
+  // we meant it to, or an earlier alternative may get to the input we made up
+  // for a later one. Lookahead we ignore altogether. So we try what we made
+  // up, and only keep what actually parses.
+  function valid_inputs(parser, options) {
+    options = settings(options)
+    const context = {
+      random: random_from(options.seed),
+      depth: 0,
+      max_depth: options.max_depth,
+      max_repeat: options.max_repeat,
+      given: options.given,
+      depths: new Map(),
+      characters: new Map(),
+      regexps: new Map()
+    }
+
+    const inputs = []
+    for (let attempt = 0; attempt < options.count * 10 && inputs.length < options.count; attempt++) {
+      let input
+      try { input = generated(parser, context) }
+      catch (e) {
+        if (e !== STUCK) throw e
+        context.depth = 0
+        continue
+      }
+
+      if (outcome(parser, input).matched) inputs.push(input)
+    }
+
+    assert(inputs.length > 0, "Could not make up any valid input (seed " + options.seed + ").")
+    return inputs
+  }
+
+  // This runs a parser over all of an input. A parser which throws doesn't
+  // get to stop us; we note what was thrown.
+  function outcome(parser, input) {
+    const stream = new _.Stream(_.from_string(input))
+    try {
+      const [next, value] = parser(stream)
+      const matched = next != _.NO_MATCH && next.head() == null
+      return { matched: matched, value: value, failure: matched ? undefined : stream.failure() }
+    } catch (error) {
+      return { matched: false, error: error }
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    const number = _.pattern(/-?(0|[1-9]\d*)(\.\d+)?/)
+    const list = _.to_be_defined()
+    const item = _.choice(number, list, _.text('null'))
+    list.define(_.between(_.text('['), _.text(']'), _.sep_by(item, _.text(','))))
+
+    const inputs = valid_inputs(list, { count: 200, seed: 1 })
+    assert(inputs.length == 200)
+    inputs.forEach(input => _.assert_that(input).is_a_valid(list))
+    assert(new Set(inputs).size > 50)
+    assert(inputs.some(input => input.includes('[[')) && inputs.some(input => input.includes('.')))
+
+    // The same seed gets the same inputs.
+    assert.deepEqual(valid_inputs(list, { count: 20, seed: 7 }), valid_inputs(list, { count: 20, seed: 7 }))
+
+    // Single characters, repetitions, and a grammar which is deeply recursive
+    // on the left.
+    const letter = _.is(x => x >= 'a' && x <= 'f')
+    const word = _.sequence(_.at_least(2, letter), _.optional(_.text('!')))
+    valid_inputs(word, { count: 50, seed: 3 }).forEach(input => {
+      assert(/^[a-f]{2,}!?$/.test(input), input)
+    })
+
+    const expr = _.to_be_defined()
+    expr.define(_.choice(_.sequence(expr, _.text('-'), _.pattern(/\d/)), _.pattern(/\d/)))
+    valid_inputs(expr, { count: 50, seed: 5 }).forEach(input => {
+      assert(/^\d(-\d)*$/.test(input), input)
+    })
+
+    // Patterns get read.
+    const code = _.pattern(/[A-Z]{2,3}-(?:\d{4}|x[^a-z\s])\b(?<end>(?!-))/)
+    valid_inputs(code, { count: 50, seed: 11 }).forEach(input => {
+      assert(/^[A-Z]{2,3}-(?:\d{4}|x[^a-z\s])$/.test(input), input)
+    })
+
+    // Parsers we can't look into need to be given.
+    const custom = stream => stream.head() == '?' ? [stream.tail(), '?'] : [_.NO_MATCH, _.NO_VALUE]
+    assert.throws(() => valid_inputs(custom, { count: 1, seed: 1 }), /Could not make up any valid input/)
+    assert.deepEqual(
+      valid_inputs(custom, { count: 2, seed: 1, given: new Map([[custom, random => '?']]) }),
+      ['?', '?'])
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Making up invalid inputs
+  //
+  // Invalid inputs we get by taking valid ones, and breaking them. We take
+  // out a bit, put in a bit, swap some, and so on. Again, we check whether
+  // that worked, as plenty of changes to valid input are just as valid.
+  const MUTATIONS = [
+    (input, random) => {
+      const at = random.below(input.length)
+      return input.substring(0, at) + input.substring(at + 1)
+    },
+    (input, random) => {
+      const at = random.below(input.length + 1)
+      return input.substring(0, at) + random.pick(ALPHABET) + input.substring(at)
+    },
+    (input, random) => {
+      const at = random.below(input.length)
+      return input.substring(0, at) + random.pick(ALPHABET) + input.substring(at + 1)
+    },
+    (input, random) => {
+      const at = random.below(input.length)
+      return input.substring(0, at) + input.substring(at, at + 2).split('').reverse().join('') + input.substring(at + 2)
+    },
+    (input, random) => {
+      const [from, to] = [random.below(input.length + 1), random.below(input.length + 1)].sort((a, b) => a - b)
+      return input.substring(0, to) + input.substring(from, to) + input.substring(to)
+    },
+    (input, random) => input.substring(0, random.below(input.length))
+  ]
+
+  function invalid_inputs(parser, options) {
+    options = settings(options)
+    const random = random_from(options.seed)
+    const valid = valid_inputs(parser, options)
+
+    const inputs = []
+    for (let attempt = 0; attempt < options.count * 10 && inputs.length < options.count; attempt++) {
+      const input = random.pick(MUTATIONS)(random.pick(valid), random)
+      if (!outcome(parser, input).matched) inputs.push(input)
+    }
+
+    assert(inputs.length > 0, "Could not make up any invalid input (seed " + options.seed + ").")
+    return inputs
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    const pair = _.sequence(_.pattern(/[a-z]+/), _.text('='), _.pattern(/\d+/))
+    const inputs = invalid_inputs(pair, { count: 100, seed: 2 })
+    assert(inputs.length == 100)
+    inputs.forEach(input => _.assert_that(input).is_not_a_valid(pair))
+    assert(inputs.some(input => !input.includes('=')))
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Checking properties
+  //
+  // A property is a function which gets the value of a parse, and the input
+  // it came from. If it returns `false` or throws, the property does not hold.
+  //
+  // We can also check properties of invalid inputs, by passing
+  // `invalid: true` with the options. Then the property gets the failure
+  // which the input's stream reports, rather than a value. By default we
+  // check the least we should expect: that the parser fails, rather than
+  // throwing, and tells us why.
+  //
+  // A parser throwing breaks any property.
+  function check(parser, property, options) {
+    options = settings(options)
+    const invalid = options.invalid === true
+    property = property || (failure => typeof failure.message === 'string')
+
+    const inputs = invalid ? invalid_inputs(parser, options) : valid_inputs(parser, options)
+    for (const input of inputs) {
+      const problem = problem_with(parser, property, input, invalid)
+      if (problem === undefined) continue
+
+      const [smallest, why] = shrunk(parser, property, input, problem, invalid)
+      assert(false, 'Property does not hold for ' + JSON.stringify(smallest)
+        + (smallest == input ? '' : ' (shrunk from ' + JSON.stringify(input) + ')')
+        + ', seed ' + options.seed + ': ' + why)
+    }
+
+    return inputs.length
+  }
+
+  function problem_with(parser, property, input, invalid) {
+    const result = outcome(parser, input)
+    if (result.error !== undefined) return 'the parser threw ' + reason(result.error)
+
+    try {
+      const holds = invalid ? property(result.failure, input) : property(result.value, input)
+      return holds === false ? 'the property returned false' : undefined
+    } catch (error) {
+      return reason(error)
+    }
+  }
+
+  function reason(error) {
+    return error instanceof Error ? error.message : String(error)
+  }
+
+  // ### Shrinking
+  //
+  // Random inputs tend to be long and noisy, and the problem is usually in
+  // some small part of them. So we try taking parts out, big ones first,
+  // and keep going with any smaller input which is still valid (or still
+  // invalid, as the case may be) and still breaks the property. When
+  // nothing can be taken out anymore, that's our answer.
+  function shrunk(parser, property, input, problem, invalid) {
+    let [smallest, why] = [input, problem]
+
+    let shrinking = true
+    while (shrinking) {
+      shrinking = false
+      for (const candidate of without_parts(smallest)) {
+        const result = outcome(parser, candidate)
+        if (result.error === undefined && result.matched == invalid) continue
+
+        const candidate_problem = problem_with(parser, property, candidate, invalid)
+        if (candidate_problem === undefined) continue
+
+        [smallest, why] = [candidate, candidate_problem]
+        shrinking = true
+        break
+      }
+    }
+
+    return [smallest, why]
+  }
+
+  function* without_parts(input) {
+    for (let size = input.length; size > 0; size = Math.floor(size / 2))
+      for (let at = 0; at + size <= input.length; at++)
+        yield input.substring(0, at) + input.substring(at + size)
+  }
+
+  // ## Round trips
+  //
+  // Given a printer, which turns values back into text, the round trip is a
+  // property like any other: the printed text should parse, into the same
+  // value we started from.
+  function round_trip(parser, print, options) {
+    return check(parser, value => {
+      const printed = print(value)
+      const again = outcome(parser, printed)
+      if (again.error !== undefined)
+        throw new Error('printed ' + JSON.stringify(printed) + ', on which the parser threw ' + reason(again.error))
+      if (!again.matched)
+        throw new Error('printed ' + JSON.stringify(printed) + ', which does not parse: ' + again.failure.message)
+      if (!isDeepStrictEqual(again.value, value))
+        throw new Error('printed ' + JSON.stringify(printed) + ', which parses as '
+          + JSON.stringify(again.value) + ' rather than ' + JSON.stringify(value))
+    }, options)
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    const number = _.pattern(/\d+/).as(parseInt)
+    const numbers = _.sep_by(number, _.sequence(_.text(','), _.pattern(/ */)))
+
+    assert(round_trip(numbers, values => values.join(', '), { count: 300, seed: 1 }) == 300)
+
+    // Dropping leading zeroes, for instance, gets caught. And the input gets
+    // shrunk all the way down to a single number.
+    assert.throws(
+      () => round_trip(_.pattern(/\d+/), digits => String(parseInt(digits)), { count: 300, seed: 1 }),
+      /Property does not hold for "0\d" \(shrunk from .*\), seed 1: printed "\d", which parses as "\d" rather than "0\d"/)
+
+    // Properties of values.
+    assert(check(numbers, values => values.every(n => n >= 0), { count: 100, seed: 4 }) == 100)
+    assert.throws(() => check(numbers, values => values.length < 3, { count: 100, seed: 4 }),
+      /Property does not hold for "\d,\d,\d" \(shrunk from .*\), seed 4: the property returned false/)
+
+    // And of failures. A parser which throws on what it didn't expect gets
+    // caught, again with the smallest input which does it.
+    const strict = _.sequence(_.text('a'), _.choice(_.text('b'), stream => { throw new Error('oops') }))
+    assert(check(numbers, undefined, { invalid: true, count: 100, seed: 6 }) == 100)
+    assert.throws(() => check(strict, undefined, { invalid: true, count: 10, seed: 6 }),
+      /Property does not hold for "a"( \(shrunk from .*\))?, seed 6: the parser threw oops/)
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Wrapping up
+  //
+  // Inputs to use as you see fit, and checks to run on them.
+  return {
+    valid_inputs: valid_inputs,
+    invalid_inputs: invalid_inputs,
+    check: check,
+    round_trip: round_trip
+  }
+})
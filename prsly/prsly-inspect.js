@@ -0,0 +1,811 @@
+// # Looking at grammars (prsly-inspect)
+//
+// Every parser built from prsly's combinators carries a description of what
+// it is made of. Here we put those descriptions to use. Given a grammar we
+// can:
+//
+// - print it as [EBNF](https://www.w3.org/TR/xml/#sec-notation), for
+//   documentation or review,
+// - draw it as a [railroad diagram](https://en.wikipedia.org/wiki/Syntax_diagram),
+//   either as a standalone SVG image or as an HTML page,
+// - find alternatives in a `choice` which can never match, because an
+//   earlier alternative always gets there first.
+//
+// A grammar here is either a single parser, or an object mapping rule names
+// onto parsers. (The `rules` which `prsly-peg` compiles will do nicely.)
+
+const assert = require('assert')
+define(['prsly'], function (_) {
+
+  // ## Finding the rules
+  //
+  // Grammars are made of rules, and we want to show each of them on its own.
+  // Which parsers count as rules ? Those we were given, those which were made
+  // with `to_be_defined`, and those which were given a name which looks like
+  // one. (A name like `'log level'` is nice in a failure message, but we
+  // can't refer to it.) Rules which don't have a name get one made up.
+  //
+  // We find them by walking the descriptions, starting from the parsers we
+  // were given. Recursive grammars lead back to where we've been, so we keep
+  // track of that. The result maps each rule onto its name, in the order we
+  // found them.
+  function rules_of(grammar) {
+    const names = new Map()
+    const taken = new Set()
+    const add = (parser, name) => {
+      let unique = name
+      for (let i = 2; taken.has(unique); i++) unique = name + '_' + i
+      names.set(parser, unique)
+      taken.add(unique)
+    }
+
+    const roots = typeof grammar === 'function'
+      ? [[grammar, is_identifier(_.description_of(grammar).name) ? _.description_of(grammar).name : 'grammar']]
+      : Object.keys(grammar).map(name => [grammar[name], name])
+    for (const [parser, name] of roots)
+      if (!names.has(parser)) add(parser, name)
+
+    let unnamed = 0
+    const seen = new Set()
+    const visit = parser => {
+      if (seen.has(parser)) return
+      seen.add(parser)
+
+      const description = _.description_of(parser)
+      if (!names.has(parser)) {
+        if (is_identifier(description.name)) add(parser, description.name)
+        else if (description.kind == 'rule') add(parser, 'rule_' + ++unnamed)
+      }
+      description.children.forEach(visit)
+    }
+    roots.forEach(([parser]) => visit(parser))
+
+    return names
+  }
+
+  function is_identifier(name) {
+    return typeof name === 'string' && /^[A-Za-z_][A-Za-z0-9_-]*$/.test(name)
+  }
+
+  // ## Shapes
+  //
+  // Our combinators are many, and quite a few of them are variations on the
+  // same theme. `sep_by1`, `chainl1` and `chainr1`, for instance, all match
+  // one or more of something, with something else in between. What they do
+  // with the values differs, but the grammar they accept has the same shape.
+  //
+  // So before printing or drawing anything we boil descriptions down to a
+  // handful of shapes: references to other rules, terminals, special
+  // terminals (things EBNF has no notation for), sequences, choices,
+  // repetitions (with an optional separator), optional parts, lookahead and
+  // the empty shape. Everything else gets expressed in terms of these.
+  //
+  // A rule itself is never a reference, of course. That's what `top` is for.
+  function shape_of(parser, names, top) {
+    if (!top && names.has(parser))
+      return { type: 'reference', name: names.get(parser) }
+
+    const description = _.description_of(parser)
+    const inner = child => shape_of(child, names, false)
+    const [first, second, third] = description.children
+
+    switch (description.kind) {
+      case 'rule':
+      case 'memoized':
+      case 'located':
+      case 'recover':
+      case 'commit':
+      case 'provided':
+      case 'label':
+        return inner(first)
+
+      case 'literal':
+      case 'is':
+      case 'token':
+        return terminal(description.expected, description.name)
+
+      case 'text':     return { type: 'terminal', label: quoted(description.text) }
+      case 'pattern':  return special(description.pattern.toString())
+      case 'any':      return special('any value')
+      case 'none':     return special('nothing')
+      case 'at_end':   return special('end of input')
+      case 'empty':    return { type: 'empty' }
+      case 'custom':   return special(description.name || 'custom parser')
+
+      case 'sequence':
+      case 'fields':   return sequence_of(description.children.map(inner))
+      case 'choice':   return choice_of(description.children.map(inner))
+      case 'many':     return repeated(inner(first), 0)
+      case 'optional': return optional_of(inner(first))
+
+      case 'not':
+        if (_.description_of(first).kind == 'not')
+          return { type: 'lookahead', positive: true, item: inner(_.description_of(first).children[0]) }
+        return { type: 'lookahead', positive: false, item: inner(first) }
+
+      case 'count':
+        return sequence_of(Array(description.count).fill(inner(first)))
+
+      case 'at_least':
+        if (description.count == 0) return repeated(inner(first), 0)
+        return sequence_of(Array(description.count - 1).fill(inner(first)).concat([repeated(inner(first), 1)]))
+
+      case 'sep_by1':
+      case 'chainl1':
+      case 'chainr1':
+        return repeated(inner(first), 1, inner(second))
+
+      case 'sep_by':
+        return optional_of(repeated(inner(first), 1, inner(second)))
+
+      case 'end_by':
+        return repeated(sequence_of([inner(first), inner(second)]), 0)
+
+      case 'skip_to':
+        return repeated(sequence_of([{ type: 'lookahead', positive: false, item: inner(first) }, special('any value')]), 0)
+
+      case 'between':
+      case 'enclosed':
+        return sequence_of([inner(first), inner(second), inner(third)])
+
+      case 'operators':
+        return operators_shape(inner(first), description.table, inner)
+
+      default:
+        return special(description.kind)
+    }
+  }
+
+  // Single values come with a description of what was expected, if anything.
+  // Quoted ones, as well as character classes, we can show as they are.
+  function terminal(expected, name) {
+    if (typeof expected !== 'string') return special(name || 'value')
+    if (/^['"\[]/.test(expected)) return { type: 'terminal', label: expected }
+    return special(expected)
+  }
+
+  function special(label) {
+    return { type: 'special', label: label }
+  }
+
+  // EBNF has no escapes, so we pick whichever quote the text doesn't use. We
+  // do spell out line breaks and tabs, the way failure messages do.
+  function quoted(text) {
+    const spelled = text.replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')
+    return spelled.includes("'") && !spelled.includes('"')
+      ? '"' + spelled + '"'
+      : "'" + spelled + "'"
+  }
+
+  // Sequences and choices of just one thing are just that thing.
+  function sequence_of(items) {
+    if (items.length == 0) return { type: 'empty' }
+    if (items.length == 1) return items[0]
+    return { type: 'sequence', items: items }
+  }
+
+  function choice_of(items) {
+    if (items.length == 1) return items[0]
+    return { type: 'choice', items: items }
+  }
+
+  function repeated(item, min, separator) {
+    return { type: 'repeat', item: item, min: min, separator: separator }
+  }
+
+  function optional_of(item) {
+    return { type: 'optional', item: item }
+  }
+
+  // Operator precedence doesn't translate into EBNF, not without a rule for
+  // every level of binding power. What we can show is which operators may go
+  // where: prefix operators before an operand, postfix operators after it,
+  // and infix operators between operands.
+  function operators_shape(operand, table, inner) {
+    const of_kind = kind => table.filter(entry => entry.kind == kind).map(entry => inner(entry.operator))
+    const [prefixes, infixes, postfixes] = ['prefix', 'infix', 'postfix'].map(of_kind)
+
+    const prefixed = prefixes.length == 0 ? operand
+      : sequence_of([repeated(choice_of(prefixes), 0), operand])
+    const extensions = postfixes.slice()
+    if (infixes.length > 0) extensions.push(sequence_of([choice_of(infixes), prefixed]))
+
+    if (extensions.length == 0) return prefixed
+    return sequence_of([prefixed, repeated(choice_of(extensions), 0)])
+  }
+
+  // ## EBNF
+  //
+  // Printing shapes is mostly a matter of knowing when to add parentheses.
+  // Choices bind least, then sequences, then the postfix operators (and the
+  // lookahead prefixes). A part needs parentheses when it binds less than
+  // the place we're putting it in.
+  //
+  // EBNF has no lookahead, but PEGs do. We borrow their `&` and `!`. For
+  // everything else there's the "special sequence", `? ... ?`.
+  const CHOICE = 1, SEQUENCE = 2, POSTFIX = 3
+
+  function ebnf_of(shape, context) {
+    const [text, binding] = printed(shape)
+    return binding < (context || CHOICE) ? '(' + text + ')' : text
+  }
+
+  function printed(shape) {
+    switch (shape.type) {
+      case 'reference': return [shape.name, POSTFIX]
+      case 'terminal':  return [shape.label, POSTFIX]
+      case 'special':   return ['? ' + shape.label + ' ?', POSTFIX]
+      case 'empty':     return ['()', POSTFIX]
+
+      case 'sequence':
+        return [shape.items.map(item => ebnf_of(item, SEQUENCE)).join(' '), SEQUENCE]
+
+      case 'choice':
+        return [shape.items.map(item => ebnf_of(item, CHOICE)).join(' | '), CHOICE]
+
+      case 'optional':
+        return [ebnf_of(shape.item, POSTFIX) + '?', POSTFIX]
+
+      case 'lookahead':
+        return [(shape.positive ? '&' : '!') + ebnf_of(shape.item, POSTFIX), POSTFIX]
+
+      case 'repeat':
+        if (shape.separator === undefined)
+          return [ebnf_of(shape.item, POSTFIX) + (shape.min == 0 ? '*' : '+'), POSTFIX]
+
+        const item = ebnf_of(shape.item, SEQUENCE)
+        const rest = '(' + ebnf_of(shape.separator, SEQUENCE) + ' ' + item + ')*'
+        return [item + ' ' + rest, SEQUENCE]
+    }
+  }
+
+  // The grammar then becomes a list of rules, one per line, with their names
+  // lined up. Rules which are a choice between alternatives and don't fit on
+  // a line get one line per alternative.
+  function ebnf(grammar) {
+    const names = rules_of(grammar)
+    const width = Math.max(...Array.from(names.values()).map(name => name.length))
+
+    const lines = []
+    for (const [parser, name] of names) {
+      const shape = shape_of(parser, names, true)
+      const start = name.padEnd(width) + ' ::= '
+      const line = start + ebnf_of(shape)
+
+      if (shape.type != 'choice' || line.length <= 78) lines.push(line)
+      else lines.push(start + shape.items
+        .map(item => ebnf_of(item, CHOICE))
+        .join('\n' + ' '.repeat(width + 3) + '| '))
+    }
+
+    return lines.join('\n') + '\n'
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    const digit = _.is(x => x >= '0' && x <= '9', "['0'-'9']")
+    const number = _.many1(digit).named('number')
+    const sum = _.to_be_defined()
+    const value = _.choice(number, _.between(_.literal('('), _.literal(')'), sum))
+    sum.define(_.sep_by1(value, _.choice(_.text('+'), _.text('-'))))
+
+    assert.equal(ebnf({ sum: sum, value: value }), [
+      "sum    ::= value (('+' | '-') value)*",
+      "value  ::= number | '(' sum ')'",
+      "number ::= ['0'-'9']+",
+      ""
+    ].join('\n'))
+
+    // A single parser works too, naming rules as it goes.
+    const list = _.to_be_defined()
+    list.define(_.sequence(_.text('['), _.sep_by(_.choice(_.pattern(/[a-z]+/), list), _.text(',')), _.text(']')))
+    assert.equal(ebnf(_.sequence(list, _.at_end)), [
+      "grammar ::= rule_1 ? end of input ?",
+      "rule_1  ::= '[' ((? /[a-z]+/ ? | rule_1) (',' (? /[a-z]+/ ? | rule_1))*)? ']'",
+      ""
+    ].join('\n'))
+
+    // Lookahead, repetition, and quotes.
+    const word = _.sequence(_.not(_.not(_.text("'"))), _.count(2, _.any), _.optional(_.empty))
+    assert.equal(ebnf({ word: word }), `word ::= &"'" ? any value ? ? any value ? ()?\n`)
+
+    // Long choices get spread out.
+    const keyword = _.choice(...'abstract boolean break byte case catch char class const continue'
+      .split(' ').map(_.text))
+    assert.equal(ebnf({ keyword: keyword }), [
+      "keyword ::= 'abstract'",
+      "          | 'boolean'",
+      "          | 'break'",
+      "          | 'byte'",
+      "          | 'case'",
+      "          | 'catch'",
+      "          | 'char'",
+      "          | 'class'",
+      "          | 'const'",
+      "          | 'continue'",
+      ""
+    ].join('\n'))
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Railroad diagrams
+  //
+  // For drawing we give each shape a layout: how wide it is, and how far it
+  // reaches up and down from the line running through it. Each layout can
+  // then draw itself, given where that line enters on the left. It leaves
+  // at the same height on the right.
+  //
+  // The measurements are rough. We don't know what font the diagram will be
+  // shown in, so we guess at the width of a character.
+  const CHARACTER = 8
+  const HALF_BOX = 12
+  const ARC = 10
+  const H_GAP = 10
+  const V_GAP = 8
+
+  function layout_of(shape) {
+    switch (shape.type) {
+      case 'reference': return box(shape.label || shape.name, 'reference', shape.name)
+      case 'terminal':  return box(shape.label, 'terminal')
+      case 'special':   return box(shape.label, 'special')
+      case 'empty':     return skip()
+
+      case 'sequence':  return in_sequence(shape.items.map(layout_of))
+      case 'choice':    return in_choice(shape.items.map(layout_of))
+      case 'optional':  return in_choice([skip(), layout_of(shape.item)])
+
+      case 'lookahead':
+        return in_sequence([note(shape.positive ? 'followed by' : 'not'), layout_of(shape.item)])
+
+      case 'repeat':
+        const loop = in_loop(layout_of(shape.item),
+          shape.separator === undefined ? skip() : layout_of(shape.separator))
+        return shape.min == 0 ? in_choice([skip(), loop]) : loop
+    }
+  }
+
+  // Terminals get round corners, references to other rules square ones, and
+  // special terminals a style of their own. References link to their rule.
+  function box(label, kind, link) {
+    const width = label.length * CHARACTER + 2 * H_GAP
+    return {
+      width: width, up: HALF_BOX, down: HALF_BOX,
+      draw: (x, y) => {
+        const rounded = kind == 'terminal' ? HALF_BOX : kind == 'special' ? 4 : 0
+        const drawn = '<g class="' + kind + '">'
+          + '<rect x="' + x + '" y="' + (y - HALF_BOX) + '" width="' + width + '" height="' + 2 * HALF_BOX
+          + '" rx="' + rounded + '"/>'
+          + '<text x="' + (x + width / 2) + '" y="' + (y + 4) + '">' + escaped(label) + '</text></g>'
+        return link === undefined ? drawn
+          : '<a href="#' + escaped(link) + '">' + drawn + '</a>'
+      }
+    }
+  }
+
+  function note(label) {
+    const width = label.length * CHARACTER
+    return {
+      width: width, up: HALF_BOX, down: 0,
+      draw: (x, y) => '<text class="note" x="' + (x + width / 2) + '" y="' + (y - 4) + '">'
+        + escaped(label) + '</text>' + path('M', x, y, 'H', x + width)
+    }
+  }
+
+  function skip() {
+    return { width: 0, up: 0, down: 0, draw: () => '' }
+  }
+
+  // Items in a sequence go one after the other, joined by a bit of line.
+  function in_sequence(items) {
+    const width = items.reduce((total, item) => total + item.width, 0) + H_GAP * (items.length - 1)
+    return {
+      width: width,
+      up: Math.max(0, ...items.map(item => item.up)),
+      down: Math.max(0, ...items.map(item => item.down)),
+      draw: (x, y) => {
+        let drawn = ''
+        items.forEach((item, i) => {
+          if (i > 0) {
+            drawn += path('M', x, y, 'h', H_GAP)
+            x += H_GAP
+          }
+          drawn += item.draw(x, y)
+          x += item.width
+        })
+        return drawn
+      }
+    }
+  }
+
+  // Alternatives get stacked, with the first one on the line itself. The
+  // others branch off to the left, and join back up on the right.
+  function in_choice(items) {
+    const inner = Math.max(...items.map(item => item.width))
+    const width = inner + 4 * ARC
+
+    const offsets = [0]
+    for (let i = 1; i < items.length; i++) {
+      const previous = offsets[i - 1] + items[i - 1].down + V_GAP + items[i].up
+      offsets.push(Math.max(previous, offsets[i - 1] + 2 * ARC))
+    }
+
+    return {
+      width: width,
+      up: items[0].up,
+      down: offsets[items.length - 1] + items[items.length - 1].down,
+      draw: (x, y) => items.map((item, i) => {
+        const branch = y + offsets[i]
+        const [left, right] = [x + 2 * ARC, x + 2 * ARC + item.width]
+        const into = i == 0 ? path('M', x, y, 'H', left)
+          : path('M', x, y, 'q', ARC, 0, ARC, ARC, 'V', branch - ARC, 'q', 0, ARC, ARC, ARC)
+        const out_of = i == 0 ? path('M', right, y, 'H', x + width)
+          : path('M', right, branch, 'H', x + width - 2 * ARC,
+            'q', ARC, 0, ARC, -ARC, 'V', y + ARC, 'q', 0, -ARC, ARC, -ARC)
+        return into + item.draw(left, branch) + out_of
+      }).join('')
+    }
+  }
+
+  // Repetition draws the item on the line, and a loop back underneath it.
+  // Whatever separates the repetitions goes on the loop.
+  function in_loop(item, separator) {
+    const inner = Math.max(item.width, separator.width)
+    const width = inner + 4 * ARC
+    const back = Math.max(item.down + V_GAP + separator.up, 2 * ARC)
+
+    return {
+      width: width,
+      up: item.up,
+      down: back + separator.down,
+      draw: (x, y) => {
+        const [left, right] = [x + 2 * ARC, x + width - 2 * ARC]
+        const loop = y + back
+        const middle = left + (inner - separator.width) / 2
+        return path('M', x, y, 'H', left)
+          + item.draw(left, y)
+          + path('M', left + item.width, y, 'H', x + width)
+          + path('M', right, y, 'q', ARC, 0, ARC, ARC, 'V', loop - ARC, 'q', 0, ARC, -ARC, ARC,
+            'H', middle + separator.width)
+          + separator.draw(middle, loop)
+          + path('M', middle, loop, 'H', left, 'q', -ARC, 0, -ARC, -ARC, 'V', y + ARC, 'q', 0, -ARC, ARC, -ARC)
+      }
+    }
+  }
+
+  function path(...steps) {
+    return '<path d="' + steps.join(' ') + '"/>'
+  }
+
+  function escaped(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+  }
+
+  // A diagram for a rule then is its layout, with a mark where it starts and
+  // one where it ends. We draw it at a given height, leaving room for the
+  // name of the rule above it.
+  const MARGIN = 20
+  const TITLE = 24
+
+  function diagram(name, shape, top) {
+    const layout = layout_of(shape)
+    const y = top + TITLE + layout.up + V_GAP
+    const end = MARGIN + layout.width
+    return {
+      width: end + 2 * MARGIN,
+      height: TITLE + layout.up + layout.down + 2 * V_GAP,
+      drawn: '<g id="' + escaped(name) + '">'
+        + '<text class="rule" x="' + MARGIN / 2 + '" y="' + (top + TITLE - 8) + '">' + escaped(name) + '</text>'
+        + path('M', MARGIN / 2, y - 8, 'v', 16, 'M', MARGIN / 2, y, 'H', MARGIN)
+        + layout.draw(MARGIN, y)
+        + path('M', end, y, 'h', MARGIN / 2, 'm', 0, -8, 'v', 16)
+        + '</g>'
+    }
+  }
+
+  const STYLE = [
+    'path { fill: none; stroke: #333; stroke-width: 1.5px }',
+    'rect { fill: #ffc; stroke: #333; stroke-width: 1.5px }',
+    '.reference rect { fill: #def }',
+    '.special rect { fill: #eee; stroke-dasharray: 4 2 }',
+    'text { font: 13px monospace; text-anchor: middle }',
+    'text.rule { font: bold 14px sans-serif; text-anchor: start }',
+    'text.note { font: italic 11px sans-serif }'
+  ].join('\n')
+
+  // The standalone image has all rules one below the other.
+  function railroad_svg(grammar) {
+    const names = rules_of(grammar)
+    const diagrams = []
+    let height = 0
+    for (const [parser, name] of names) {
+      const drawn = diagram(name, shape_of(parser, names, true), height)
+      diagrams.push(drawn)
+      height += drawn.height
+    }
+
+    const width = Math.max(...diagrams.map(drawn => drawn.width))
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '">'
+      + '<style>' + STYLE + '</style>'
+      + diagrams.map(drawn => drawn.drawn).join('')
+      + '</svg>\n'
+  }
+
+  // The page has one image per rule, which keeps them easy to copy out.
+  function railroad_html(grammar, title) {
+    const names = rules_of(grammar)
+    const images = Array.from(names).map(([parser, name]) => {
+      const drawn = diagram(name, shape_of(parser, names, true), 0)
+      return '<svg width="' + drawn.width + '" height="' + drawn.height + '">' + drawn.drawn + '</svg>'
+    })
+
+    return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n'
+      + '<title>' + escaped(title || 'Grammar') + '</title>\n'
+      + '<style>\n' + STYLE + '\nsvg { display: block; margin: 1em 0 }\n</style>\n'
+      + '</head>\n<body>\n' + images.join('\n') + '\n</body>\n</html>\n'
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    const digit = _.is(x => x >= '0' && x <= '9', "['0'-'9']")
+    const number = _.many1(digit).named('number')
+    const sum = _.to_be_defined()
+    const value = _.choice(number, _.between(_.text('('), _.text(')'), sum))
+    sum.define(_.sep_by1(value, _.choice(_.text('+'), _.text('-'), _.not(_.at_end))))
+    const grammar = { sum: sum, value: value }
+
+    const svg = railroad_svg(grammar)
+    assert(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'))
+    assert(svg.includes('<g id="sum">') && svg.includes('<g id="value">') && svg.includes('<g id="number">'))
+    assert(svg.includes('<a href="#value">'))
+    assert(svg.includes(">'+'</text>"))
+    assert(svg.includes('>end of input</text>') && svg.includes('>not</text>'))
+    assert(!/NaN|undefined|Infinity/.test(svg))
+
+    const html = railroad_html(grammar, 'Sums & such')
+    assert(html.startsWith('<!DOCTYPE html>'))
+    assert(html.includes('<title>Sums &amp; such</title>'))
+    assert(html.split('<svg ').length - 1 == 3)
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Shadowed alternatives
+  //
+  // A `choice` takes the first alternative which matches, and never looks
+  // back. Put `'<'` before `'<='` and the second one will never match: any
+  // input it would match starts with a `<`, which the first alternative will
+  // happily take. The parser then fails on the `=`, or worse, doesn't.
+  //
+  // In general we can't tell whether one parser matches everything another
+  // one does. But the common mistakes we can spot. An earlier alternative
+  // shadows a later one when:
+  //
+  // - it always matches, such as `many` or `optional` do,
+  // - it matches some fixed text, and everything the later one matches
+  //   starts with that text,
+  // - it is a sequence (or a single parser) which the later one starts with.
+  //
+  // That last one holds because parsers are deterministic. If the later
+  // alternative matches, the parsers it starts with matched at the same
+  // positions, so the earlier alternative matches as well.
+  function shadowed(grammar) {
+    const names = rules_of(grammar)
+    const findings = []
+    const seen = new Set()
+
+    const visit = (parser, rule) => {
+      if (seen.has(parser)) return
+      seen.add(parser)
+
+      const description = _.description_of(parser)
+      if (description.kind == 'choice') {
+        const alternatives = description.children
+        alternatives.forEach((later, i) => {
+          const j = alternatives.slice(0, i).findIndex(earlier => shadows(earlier, later))
+          if (j < 0) return
+
+          const [shown, by] = [later, alternatives[j]].map(p => ebnf_of(shape_of(p, names, false)))
+          findings.push({
+            rule: rule,
+            choice: parser,
+            alternative: i,
+            shadowed_by: j,
+            message: rule + ': alternative ' + (i + 1) + ' (' + shown + ')'
+              + ' is shadowed by alternative ' + (j + 1) + ' (' + by + ')'
+          })
+        })
+      }
+
+      for (const child of description.children)
+        if (!names.has(child)) visit(child, rule)
+    }
+
+    for (const [parser, name] of names) visit(parser, name)
+    return findings
+  }
+
+  function shadows(earlier, later) {
+    if (always_matches(earlier, new Set())) return true
+
+    const fixed = fixed_text(earlier, new Set())
+    if (fixed !== undefined && leading_text(later, new Set()).startsWith(fixed)) return true
+
+    const [before, after] = [items_of(earlier), items_of(later)]
+    return before.length <= after.length && before.every((item, i) => same(item, after[i]))
+  }
+
+  // Two parsers are the same if they are, or if they were built the same way
+  // from the same parts. We can't compare the tests given to `is`, nor look
+  // inside parsers we didn't build, so those have to be the very same ones.
+  // The same goes for rules, which also keeps us from going around in
+  // circles.
+  const COMPARED = ['text', 'value', 'count', 'token']
+
+  function same(a, b) {
+    if (a === b) return true
+
+    const [x, y] = [_.description_of(a), _.description_of(b)]
+    if (x.kind != y.kind || ['is', 'custom', 'rule'].includes(x.kind)) return false
+    if (COMPARED.some(key => x[key] !== y[key])) return false
+    if (x.kind == 'pattern' && x.pattern.toString() != y.pattern.toString()) return false
+    if (x.kind == 'operators') return false
+
+    return x.children.length == y.children.length
+      && x.children.every((child, i) => same(child, y.children[i]))
+  }
+
+  // The walks below pass through parsers which just wrap another one. Rules
+  // are among them, so we keep track of where we've been, or left recursion
+  // would have us going around in circles.
+  const WRAPPERS = ['rule', 'memoized', 'located', 'commit', 'label']
+
+  function wrapped(parser, visited) {
+    const description = _.description_of(parser)
+    if (!WRAPPERS.includes(description.kind) || visited.has(parser)) return undefined
+    visited.add(parser)
+    return description.children[0]
+  }
+
+  function always_matches(parser, visited) {
+    const inner = wrapped(parser, visited)
+    if (inner !== undefined) return always_matches(inner, visited)
+
+    const description = _.description_of(parser)
+    switch (description.kind) {
+      case 'many':
+      case 'optional':
+      case 'empty':
+      case 'sep_by':
+      case 'end_by':
+      case 'skip_to':
+        return true
+      case 'count':
+      case 'at_least':
+        return description.count == 0 || always_matches(description.children[0], visited)
+      case 'sequence':
+      case 'fields':
+        return description.children.every(child => always_matches(child, visited))
+      case 'choice':
+        return description.children.some(child => always_matches(child, visited))
+      default:
+        return false
+    }
+  }
+
+  // The text a parser matches, if that is always the same.
+  function fixed_text(parser, visited) {
+    const inner = wrapped(parser, visited)
+    if (inner !== undefined) return fixed_text(inner, visited)
+
+    const description = _.description_of(parser)
+    switch (description.kind) {
+      case 'text':
+        return description.text
+      case 'literal':
+        return typeof description.value === 'string' ? description.value : undefined
+      case 'count':
+        const once = fixed_text(description.children[0], visited)
+        return once === undefined ? undefined : once.repeat(description.count)
+      case 'sequence':
+      case 'fields':
+        const texts = description.children.map(child => fixed_text(child, visited))
+        return texts.includes(undefined) ? undefined : texts.join('')
+      default:
+        return undefined
+    }
+  }
+
+  // The text everything a parser matches starts with. Possibly nothing.
+  function leading_text(parser, visited) {
+    const inner = wrapped(parser, visited)
+    if (inner !== undefined) return leading_text(inner, visited)
+
+    const description = _.description_of(parser)
+    const first = description.children[0]
+    switch (description.kind) {
+      case 'text':
+      case 'literal':
+        return fixed_text(parser, visited) || ''
+      case 'sequence':
+      case 'fields':
+        let leading = ''
+        for (const child of description.children) {
+          const fixed = fixed_text(child, new Set(visited))
+          if (fixed === undefined) return leading + leading_text(child, visited)
+          leading += fixed
+        }
+        return leading
+      case 'count':
+      case 'at_least':
+        return description.count == 0 ? '' : leading_text(first, visited)
+      case 'sep_by1':
+      case 'chainl1':
+      case 'chainr1':
+      case 'between':
+      case 'enclosed':
+        return leading_text(first, visited)
+      default:
+        return ''
+    }
+  }
+
+  // The parsers a sequence is made of. Anything else is a sequence of one.
+  function items_of(parser) {
+    const description = _.description_of(parser)
+    return description.kind == 'sequence' ? description.children : [parser]
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    const t = _.text
+    const found = grammar => shadowed(grammar).map(f => [f.alternative, f.shadowed_by])
+
+    // Fixed text which a later alternative starts with.
+    assert.deepEqual(found({ op: _.choice(t('<'), t('<='), t('>')) }), [[1, 0]])
+    assert.deepEqual(found({ op: _.choice(t('<='), t('<'), t('>')) }), [])
+    assert.deepEqual(found({ op: _.choice(t('i'), _.sequence(t('if'), _.pattern(/\s+/))) }), [[1, 0]])
+    assert.deepEqual(found({ op: _.choice(_.sequence(_.literal('i'), _.literal('f')), t('iff')) }), [[1, 0]])
+
+    // Alternatives which always match.
+    const a = _.literal('a')
+    assert.deepEqual(found({ x: _.choice(_.many(a), t('b'), t('c')) }), [[1, 0], [2, 0]])
+    assert.deepEqual(found({ x: _.choice(_.many1(a), t('b')) }), [])
+
+    // Sequences which a later one starts with, and plain repeats.
+    const b = _.pattern(/b+/)
+    assert.deepEqual(found({ x: _.choice(_.sequence(a, b), _.sequence(a, b, a)) }), [[1, 0]])
+    assert.deepEqual(found({ x: _.choice(_.sequence(a, b, a), _.sequence(a, b)) }), [])
+    assert.deepEqual(found({ x: _.choice(b, b) }), [[1, 0]])
+
+    // Findings say where they are, even in recursive grammars.
+    const expr = _.to_be_defined()
+    expr.define(_.choice(
+      _.sequence(expr, t('+'), expr),
+      _.sequence(expr, t('+'), expr, t('!')),
+      t('x')))
+    const findings = shadowed({ expr: expr })
+    assert(findings.length == 1)
+    assert.equal(findings[0].message,
+      "expr: alternative 2 (expr '+' expr '!') is shadowed by alternative 1 (expr '+' expr)")
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Wrapping up
+  //
+  // Printing, drawing and checking. The shapes are there too, for anyone who
+  // wants to present grammars some other way.
+  return {
+    ebnf: ebnf,
+    railroad_svg: railroad_svg,
+    railroad_html: railroad_html,
+    shadowed: shadowed,
+    rules_of: rules_of,
+    shape_of: (parser, names) => shape_of(parser, names || rules_of(parser), true)
+  }
+})
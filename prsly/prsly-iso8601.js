@@ -0,0 +1,404 @@
+// # ISO-8601 (prsly-iso8601)
+//
+// The [datetime example](sample.datetime.js) parses one made up notation for
+// dates and times. This one parses the notation everyone agreed on: ISO-8601.
+// Dates, times, combinations of the two, and durations:
+//
+//     2014-08-17          20140817            2014-229          2014-W33-7
+//     12:12:12.5          121212,5            12:12Z            12+02:00
+//     2014-08-17T12:12:12+02:00               P1Y2M3DT4H5M6S    P3W
+//
+// Both the extended forms (with separators) and the basic ones (without) are
+// supported, but the standard doesn't let us mix them in a single date and
+// time, so neither do we. Things which look right but aren't, like the 30th
+// of February or week 53 of a year which has only 52, are rejected.
+//
+// Where JavaScript has a value for something we return that: a date and time
+// becomes a `Date`. For dates, times and durations on their own it doesn't
+// (yet), so we give back plain objects instead.
+
+const assert = require('assert')
+define(['prsly'], function (_) {
+
+  // ## Some help
+  //
+  // Most of what we need to match are fixed runs of digits, so patterns
+  // do most of the work. What patterns can't tell us is whether the numbers
+  // they found make sense. `valid` wraps a parser so that it only matches
+  // when its value passes a test. It then maps that value as asked. (We wrap
+  // the check in a sequence so that we end up with a proper prsly parser,
+  // which can be named.)
+  function valid(parser, test, value_fn) {
+    const checked = stream => {
+      const [next, value] = parser(stream)
+      if (next == _.NO_MATCH || test(value)) return [next, value]
+      return [_.NO_MATCH, _.NO_VALUE]
+    }
+
+    return _.sequence(checked).as(([value]) => value_fn(value))
+  }
+
+  // Years have four digits, or more when both sides agree to it. Those need a
+  // sign, and there's no such thing as minus zero.
+  const YEAR = '([+-][0-9]{6}|[0-9]{4})'
+  const is_year = text => text != '-000000'
+
+  const modulo = (n, m) => ((n % m) + m) % m
+
+  function is_leap_year(year) {
+    return year % 4 == 0 && (year % 100 != 0 || year % 400 == 0)
+  }
+
+  function days_in_month(year, month) {
+    if (month == 2) return is_leap_year(year) ? 29 : 28
+    return [4, 6, 9, 11].includes(month) ? 30 : 31
+  }
+
+  const days_in_year = year => is_leap_year(year) ? 366 : 365
+
+  // A year has 53 weeks when it starts on a Thursday, or when it's a leap year
+  // starting on a Wednesday. `p` tells us on which day a year ends.
+  function weeks_in_year(year) {
+    const p = y => modulo(y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400), 7)
+    return p(year) == 4 || p(year - 1) == 3 ? 53 : 52
+  }
+
+  // Ordinal and week dates get turned into calendar dates, which is what
+  // people want to work with. `Date` knows how to count days across months.
+  // (We use `setUTCFullYear` because the constructor treats years 0 to 99 as
+  // 1900 to 1999.)
+  function calendar_date(year, day_of_year) {
+    const date = new Date(0)
+    date.setUTCFullYear(year, 0, day_of_year)
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+  }
+
+  // The first week of a year is the one with the 4th of January in it.
+  function week_date(year, week, weekday) {
+    const january_4th = new Date(0)
+    january_4th.setUTCFullYear(year, 0, 4)
+    const offset = (january_4th.getUTCDay() || 7) + 3
+    return calendar_date(year, week * 7 + weekday - offset)
+  }
+
+  // ## Dates
+  //
+  // Complete dates come in three kinds: calendar dates (year, month and day),
+  // ordinal dates (year and day of the year) and week dates (year, week and
+  // day of the week). The last two get turned into calendar dates.
+  const date_form = source => _.pattern(new RegExp(YEAR + source))
+
+  const calendar = source => valid(date_form(source),
+    ([all, year, month, day]) => is_year(year) && month >= 1 && month <= 12
+      && day >= 1 && day <= days_in_month(Number(year), Number(month)),
+    ([all, year, month, day]) => ({ year: Number(year), month: Number(month), day: Number(day) }))
+
+  const ordinal = source => valid(date_form(source),
+    ([all, year, day]) => is_year(year) && day >= 1 && day <= days_in_year(Number(year)),
+    ([all, year, day]) => calendar_date(Number(year), Number(day)))
+
+  const week = source => valid(date_form(source),
+    ([all, year, week]) => is_year(year) && week >= 1 && week <= weeks_in_year(Number(year)),
+    ([all, year, week, weekday]) => week_date(Number(year), Number(week), Number(weekday)))
+
+  const complete_extended_date = _.choice(
+    calendar('-([0-9]{2})-([0-9]{2})'),
+    week('-W([0-9]{2})-([1-7])'),
+    ordinal('-([0-9]{3})'))
+
+  const complete_basic_date = _.choice(
+    calendar('([0-9]{2})([0-9]{2})'),
+    week('W([0-9]{2})([1-7])'),
+    ordinal('([0-9]{3})'))
+
+  // Dates may also leave out the day, or even the month: a year and month, a
+  // year and week, or just a year. There is no basic form for the year and
+  // month, as `YYYYMM` is too easily mistaken for `YYMMDD`. As these are
+  // prefixes of the complete dates they may not be followed by more of one.
+  const reduced_date = _.choice(
+    valid(date_form('-([0-9]{2})(?![-0-9])'),
+      ([all, year, month]) => is_year(year) && month >= 1 && month <= 12,
+      ([all, year, month]) => ({ year: Number(year), month: Number(month) })),
+    valid(date_form('-?W([0-9]{2})(?![-0-9])'),
+      ([all, year, week]) => is_year(year) && week >= 1 && week <= weeks_in_year(Number(year)),
+      ([all, year, week]) => ({ year: Number(year), week: Number(week) })),
+    valid(date_form('(?![-0-9W])'), ([all, year]) => is_year(year), ([all, year]) => ({ year: Number(year) })))
+
+  const date = _.choice(complete_extended_date, complete_basic_date, reduced_date).named('date')
+
+  // ## Times
+  //
+  // A time is hours, minutes and seconds, of which we may leave out the
+  // seconds, or the minutes and seconds. Whatever comes last may have a
+  // decimal fraction, with either a dot or a comma. The end of a day may be
+  // written as 24:00, but that's the only time the hours go up to 24. We don't
+  // do leap seconds, as `Date` can't hold them. Hours on their own look the
+  // same in both forms, so the extended form makes sure no basic one follows.
+  const EXTENDED_TIME = /([01][0-9]|2[0-4])(?::([0-5][0-9])(?::([0-5][0-9]))?)?(?:[.,]([0-9]+))?(?![0-9])/
+  const BASIC_TIME = /([01][0-9]|2[0-4])(?:([0-5][0-9])([0-5][0-9])?)?(?:[.,]([0-9]+))?/
+
+  const time_form = regexp => valid(_.pattern(regexp),
+    ([all, hours]) => hours != '24' || /^24[0:.,]*$/.test(all),
+    time_of)
+
+  // We only keep fractions down to milliseconds, which is as far as `Date`
+  // goes. Whatever is left gets cut off rather than rounded, so that 23:59
+  // never becomes 24:00.
+  function time_of([all, hours, minutes, seconds, digits]) {
+    const unit = seconds !== undefined ? 1000 : minutes !== undefined ? 60000 : 3600000
+    const fraction = digits === undefined ? 0
+      : Math.floor(Number(digits.slice(0, 9)) * unit / 10 ** Math.min(digits.length, 9))
+    const total = Number(hours) * 3600000 + Number(minutes || 0) * 60000 + Number(seconds || 0) * 1000 + fraction
+
+    return {
+      hours: Math.floor(total / 3600000),
+      minutes: Math.floor(total / 60000) % 60,
+      seconds: Math.floor(total / 1000) % 60,
+      milliseconds: total % 1000
+    }
+  }
+
+  // Times may say which time zone they're in, as `Z` for UTC, or as an offset
+  // from it in hours and (optionally) minutes. We keep that offset in
+  // minutes, the way `Date` does it. (Though with the sign the other way
+  // around: `+02:00` is an offset of 120.)
+  const zone_form = regexp => valid(_.pattern(regexp),
+    ([all, sign, hours, minutes]) => all == 'Z' || (hours <= 23 && (minutes === undefined || minutes <= 59)),
+    ([all, sign, hours, minutes]) => all == 'Z' ? 0
+      : (sign == '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes || 0)))
+
+  const extended_zone = zone_form(/Z|([+-])([0-9]{2})(?::([0-9]{2}))?/).named('time zone')
+  const basic_zone = zone_form(/Z|([+-])([0-9]{2})([0-9]{2})?/).named('time zone')
+
+  const zoned = (time, zone) => _.sequence(time, _.optional(zone))
+    .as(([value, offset]) => Object.assign(value, { offset: offset }))
+
+  const extended_time = zoned(time_form(EXTENDED_TIME), extended_zone).named('time')
+  const basic_time = zoned(time_form(BASIC_TIME), basic_zone).named('time')
+
+  const time = _.choice(extended_time, basic_time).named('time')
+
+  // ## Dates and times
+  //
+  // A date and time is a complete date, a `T`, and a time, either all in the
+  // extended form or all in the basic one. Without a time zone the time is a
+  // local one.
+  const t = _.text('T').as(_.ignored_value)
+
+  const date_time = valid(_.choice(
+      _.sequence(complete_extended_date, t, extended_time),
+      _.sequence(complete_basic_date, t, basic_time)).as(instant),
+    instant => !isNaN(instant), instant => instant).named('date and time')
+
+  function instant([date, time]) {
+    const result = new Date(0)
+    if (time.offset === undefined) {
+      result.setFullYear(date.year, date.month - 1, date.day)
+      result.setHours(time.hours, time.minutes, time.seconds, time.milliseconds)
+    } else {
+      result.setUTCFullYear(date.year, date.month - 1, date.day)
+      result.setUTCHours(time.hours, time.minutes - time.offset, time.seconds, time.milliseconds)
+    }
+    return result
+  }
+
+  // ## Durations
+  //
+  // Durations are most often written with a designator after each number:
+  // `P1Y2M3DT4H5M6S`. Anything which is zero may be left out, but something
+  // must be left in, and if there's a `T` there must be a time after it. Only
+  // the last number may have a decimal fraction. A number of weeks stands on
+  // its own: `P3W`.
+  //
+  // Durations may also be written as if they were dates and times:
+  // `P0001-02-03T04:05:06`, or `P00010203T040506`. Here the numbers may not go
+  // beyond what would carry over into the next one: 12 months, 30 days, 24
+  // hours, 60 minutes and 60 seconds.
+  const NUMBER = '([0-9]+(?:[.,][0-9]+)?)'
+
+  const amount = text => text === undefined ? 0 : Number(text.replace(',', '.'))
+
+  const duration_of = ([years, months, weeks, days, hours, minutes, seconds]) => ({
+    years: amount(years), months: amount(months), weeks: amount(weeks), days: amount(days),
+    hours: amount(hours), minutes: amount(minutes), seconds: amount(seconds)
+  })
+
+  const in_weeks = _.pattern(new RegExp('P' + NUMBER + 'W'))
+    .as(([all, weeks]) => duration_of([undefined, undefined, weeks]))
+
+  const alternative = regexp => valid(_.pattern(regexp),
+    ([all, years, months, days, hours, minutes, seconds]) =>
+      months <= 12 && days <= 30 && hours <= 24 && minutes <= 60 && seconds <= 60,
+    ([all, years, months, days, hours, minutes, seconds]) =>
+      duration_of([years, months, undefined, days, hours, minutes, seconds]))
+
+  const designated = valid(
+    _.pattern(new RegExp('P(?:' + NUMBER + 'Y)?(?:' + NUMBER + 'M)?(?:' + NUMBER + 'D)?'
+      + '(?:T(?:' + NUMBER + 'H)?(?:' + NUMBER + 'M)?(?:' + NUMBER + 'S)?)?')),
+    ([all, ...numbers]) => {
+      const present = numbers.filter(number => number !== undefined)
+      return !/[PT]$/.test(all) && present.slice(0, -1).every(number => /^[0-9]+$/.test(number))
+    },
+    ([all, years, months, days, hours, minutes, seconds]) =>
+      duration_of([years, months, undefined, days, hours, minutes, seconds]))
+
+  const duration = _.choice(
+    in_weeks,
+    alternative(/P([0-9]{4})-([0-9]{2})-([0-9]{2})T([0-9]{2}):([0-9]{2}):([0-9]{2})/),
+    alternative(/P([0-9]{4})([0-9]{2})([0-9]{2})T([0-9]{2})([0-9]{2})([0-9]{2})/),
+    designated
+  ).named('duration')
+
+  // ## Parsing
+  //
+  // Each of these gets a function which parses a whole text, and throws when
+  // it can't.
+  function parsing(parser, what) {
+    const whole = _.sequence(parser, _.at_end).as(_.first_value)
+    return text => {
+      const input = new _.Stream(_.from_string(text))
+      const [rest, value] = whole(input)
+      if (rest == _.NO_MATCH) throw new Error('Bad ISO-8601 ' + what + '; ' + input.failure().message)
+      return value
+    }
+  }
+
+  const parse_date = parsing(date, 'date')
+  const parse_time = parsing(time, 'time')
+  const parse_date_time = parsing(date_time, 'date and time')
+  const parse_duration = parsing(duration, 'duration')
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    // Calendar dates, in both forms, and with more digits for the year.
+    assert.deepStrictEqual(parse_date('2014-08-17'), { year: 2014, month: 8, day: 17 })
+    assert.deepStrictEqual(parse_date('20140817'), { year: 2014, month: 8, day: 17 })
+    assert.deepStrictEqual(parse_date('+012014-08-17'), { year: 12014, month: 8, day: 17 })
+    assert.deepStrictEqual(parse_date('-000001-12-31'), { year: -1, month: 12, day: 31 })
+    assert.deepStrictEqual(parse_date('0001-01-01'), { year: 1, month: 1, day: 1 })
+
+    // Leap years, and days which don't exist.
+    assert.deepStrictEqual(parse_date('2012-02-29'), { year: 2012, month: 2, day: 29 })
+    assert.deepStrictEqual(parse_date('2000-02-29'), { year: 2000, month: 2, day: 29 })
+    for (const text of ['1900-02-29', '2014-02-29', '2014-04-31', '2014-00-10', '2014-13-01',
+        '2014-01-00', '2014-01-32', '-000000-01-01'])
+      assert.throws(() => parse_date(text), /^Error: Bad ISO-8601 date; line 1, col 1: expected date$/, text)
+
+    // Ordinal dates.
+    assert.deepStrictEqual(parse_date('2014-229'), { year: 2014, month: 8, day: 17 })
+    assert.deepStrictEqual(parse_date('2014229'), { year: 2014, month: 8, day: 17 })
+    assert.deepStrictEqual(parse_date('2012-366'), { year: 2012, month: 12, day: 31 })
+    assert.throws(() => parse_date('2014-366'), /expected date/)
+    assert.throws(() => parse_date('2014-000'), /expected date/)
+
+    // Week dates, which may fall into the year before or after.
+    assert.deepStrictEqual(parse_date('2014-W33-7'), { year: 2014, month: 8, day: 17 })
+    assert.deepStrictEqual(parse_date('2014W337'), { year: 2014, month: 8, day: 17 })
+    assert.deepStrictEqual(parse_date('2009-W01-1'), { year: 2008, month: 12, day: 29 })
+    assert.deepStrictEqual(parse_date('2009-W53-7'), { year: 2010, month: 1, day: 3 })
+    assert.deepStrictEqual(parse_date('2020-W53-5'), { year: 2021, month: 1, day: 1 })
+    assert.throws(() => parse_date('2014-W53-1'), /expected date/)
+    assert.throws(() => parse_date('2014-W00-1'), /expected date/)
+    assert.throws(() => parse_date('2014-W01-8'), /expected date/)
+
+    // Reduced dates.
+    assert.deepStrictEqual(parse_date('2014-08'), { year: 2014, month: 8 })
+    assert.deepStrictEqual(parse_date('2014-W33'), { year: 2014, week: 33 })
+    assert.deepStrictEqual(parse_date('2014W33'), { year: 2014, week: 33 })
+    assert.deepStrictEqual(parse_date('2014'), { year: 2014 })
+    for (const text of ['201408', '2014-8-17', '14-08-17', '2014-08-17x', '2014-08-1', ''])
+      assert.throws(() => parse_date(text), /^Error: Bad ISO-8601 date; /, text)
+
+    // Times, with fractions on whatever comes last.
+    const at = (hours, minutes, seconds, milliseconds, offset) =>
+      ({ hours, minutes, seconds, milliseconds, offset })
+    assert.deepStrictEqual(parse_time('12:12:12'), at(12, 12, 12, 0))
+    assert.deepStrictEqual(parse_time('121212'), at(12, 12, 12, 0))
+    assert.deepStrictEqual(parse_time('12:12'), at(12, 12, 0, 0))
+    assert.deepStrictEqual(parse_time('1212'), at(12, 12, 0, 0))
+    assert.deepStrictEqual(parse_time('12'), at(12, 0, 0, 0))
+    assert.deepStrictEqual(parse_time('12:12:12.5'), at(12, 12, 12, 500))
+    assert.deepStrictEqual(parse_time('12:12:12,57'), at(12, 12, 12, 570))
+    assert.deepStrictEqual(parse_time('121212.123456789'), at(12, 12, 12, 123))
+    assert.deepStrictEqual(parse_time('12:12.5'), at(12, 12, 30, 0))
+    assert.deepStrictEqual(parse_time('12.25'), at(12, 15, 0, 0))
+    assert.deepStrictEqual(parse_time('23:59:59.9999'), at(23, 59, 59, 999))
+    assert.deepStrictEqual(parse_time('24:00'), at(24, 0, 0, 0))
+    assert.deepStrictEqual(parse_time('24:00:00.0'), at(24, 0, 0, 0))
+
+    // And time zones.
+    assert.deepStrictEqual(parse_time('12:12Z'), at(12, 12, 0, 0, 0))
+    assert.deepStrictEqual(parse_time('12:12+02:00'), at(12, 12, 0, 0, 120))
+    assert.deepStrictEqual(parse_time('12:12-05:30'), at(12, 12, 0, 0, -330))
+    assert.deepStrictEqual(parse_time('1212+0530'), at(12, 12, 0, 0, 330))
+    assert.deepStrictEqual(parse_time('12+02'), at(12, 0, 0, 0, 120))
+
+    for (const text of ['24:00:01', '24:30', '24.5', '25:00', '12:60', '12:12:60', '1:00', '12:1',
+        '12:12:12.', '12:12z', '12:12+2', '12:12+24:00', '12:12+02:60', ''])
+      assert.throws(() => parse_time(text), /^Error: Bad ISO-8601 time; /, text)
+    assert.throws(() => parse_time('12:12+25:00'), /col 6: expected one of time zone, end of input/)
+
+    // Dates and times become `Date`s.
+    const utc = text => parse_date_time(text).toISOString()
+    assert.strictEqual(utc('2014-08-17T12:12:12Z'), '2014-08-17T12:12:12.000Z')
+    assert.strictEqual(utc('20140817T121212Z'), '2014-08-17T12:12:12.000Z')
+    assert.strictEqual(utc('2014-08-17T12:12:12.345+02:00'), '2014-08-17T10:12:12.345Z')
+    assert.strictEqual(utc('2014-08-17T01:00-05:00'), '2014-08-17T06:00:00.000Z')
+    assert.strictEqual(utc('2014-08-17T23:00-05:00'), '2014-08-18T04:00:00.000Z')
+    assert.strictEqual(utc('2014-W33-7T12Z'), '2014-08-17T12:00:00.000Z')
+    assert.strictEqual(utc('2014229T1212Z'), '2014-08-17T12:12:00.000Z')
+    assert.strictEqual(utc('2014-12-31T24:00Z'), '2015-01-01T00:00:00.000Z')
+    assert.strictEqual(utc('0001-01-01T00:00Z'), '0001-01-01T00:00:00.000Z')
+    assert.strictEqual(utc('-000001-01-01T00:00Z'), '-000001-01-01T00:00:00.000Z')
+    assert.strictEqual(parse_date_time('2014-08-17T12:12:12').getTime(),
+      new Date(2014, 7, 17, 12, 12, 12).getTime())
+
+    // Whatever `Date` does with the ones it knows, we do too.
+    for (const text of ['2014-08-17T12:12:12Z', '2014-08-17T12:12:12.5+02:00', '2014-02-28T23:59-12:00'])
+      assert.strictEqual(parse_date_time(text).getTime(), new Date(text).getTime(), text)
+
+    // But no mixing of forms, no reduced dates, no lower case, and nothing
+    // `Date` can't hold.
+    for (const text of ['2014-08-17T121212Z', '20140817T12:12:12Z', '2014-08T12:12Z', '2014-08-17t12:12Z',
+        '2014-08-17 12:12Z', '2014-08-17T', '2014-02-30T12:12Z', '+999999-01-01T00:00Z'])
+      assert.throws(() => parse_date_time(text), /^Error: Bad ISO-8601 date and time; /, text)
+    assert.throws(() => parse_date_time('2014-08-17T25:00Z'), /line 1, col 12: expected time/)
+
+    // Durations.
+    const lasting = (years, months, weeks, days, hours, minutes, seconds) =>
+      ({ years, months, weeks, days, hours, minutes, seconds })
+    assert.deepStrictEqual(parse_duration('P1Y2M3DT4H5M6S'), lasting(1, 2, 0, 3, 4, 5, 6))
+    assert.deepStrictEqual(parse_duration('P3W'), lasting(0, 0, 3, 0, 0, 0, 0))
+    assert.deepStrictEqual(parse_duration('PT36H'), lasting(0, 0, 0, 0, 36, 0, 0))
+    assert.deepStrictEqual(parse_duration('P1M'), lasting(0, 1, 0, 0, 0, 0, 0))
+    assert.deepStrictEqual(parse_duration('PT1M'), lasting(0, 0, 0, 0, 0, 1, 0))
+    assert.deepStrictEqual(parse_duration('P0D'), lasting(0, 0, 0, 0, 0, 0, 0))
+    assert.deepStrictEqual(parse_duration('P1DT0.5H'), lasting(0, 0, 0, 1, 0.5, 0, 0))
+    assert.deepStrictEqual(parse_duration('PT1,5S'), lasting(0, 0, 0, 0, 0, 0, 1.5))
+    assert.deepStrictEqual(parse_duration('P0.5Y'), lasting(0.5, 0, 0, 0, 0, 0, 0))
+    assert.deepStrictEqual(parse_duration('P0001-02-03T04:05:06'), lasting(1, 2, 0, 3, 4, 5, 6))
+    assert.deepStrictEqual(parse_duration('P00010203T040506'), lasting(1, 2, 0, 3, 4, 5, 6))
+
+    for (const text of ['P', 'PT', 'P1YT', 'P1.5Y2M', 'PT1.5H2M', 'P1Y2W', 'P1S', 'PT1D', 'P1M2Y',
+        'P-1D', '1D', 'p1d', 'P0001-13-00T00:00:00', 'P0000-00-31T00:00:00', 'P.5D', ''])
+      assert.throws(() => parse_duration(text), /^Error: Bad ISO-8601 duration; /, text)
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Wrapping up
+  //
+  // Next to the functions which parse a whole text we expose the parsers, for
+  // use in other grammars.
+  return {
+    parse_date: parse_date,
+    parse_time: parse_time,
+    parse_date_time: parse_date_time,
+    parse_duration: parse_duration,
+    date: date,
+    time: time,
+    date_time: date_time,
+    duration: duration
+  }
+})
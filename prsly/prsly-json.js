@@ -0,0 +1,155 @@
+// # JSON (prsly-json)
+//
+// A parser for [JSON](https://www.rfc-editor.org/rfc/rfc8259), as specified:
+// no trailing commas, no comments, no single quotes, no leading zeroes. The
+// values it returns are the same ones `JSON.parse` would give you.
+//
+// Apart from being useful in its own right, it's a nice example of a real
+// grammar. It's short, too.
+
+const assert = require('assert')
+define(['prsly'], function (_) {
+
+  // ## The grammar
+  //
+  // Whitespace may appear around any value, and around the punctuation
+  // between them. Only four characters count as whitespace though.
+  const ws = _.pattern(/[ \t\n\r]*/).as(_.ignored_value)
+  const token = parser => _.sequence(parser, ws).as(_.first_value)
+  const symbol = text => token(_.text(text).as(_.ignored_value))
+
+  // The literal names.
+  const literals = _.choice(
+    _.text('true').as(_.constant_value(true)),
+    _.text('false').as(_.constant_value(false)),
+    _.text('null').as(_.constant_value(null))
+  )
+
+  // Numbers have an optional minus sign, an integer part without leading
+  // zeroes, and optional fraction and exponent. No plus signs, and no lone
+  // dots.
+  const number = _.pattern(/-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?/)
+    .as(Number).named('number')
+
+  // Strings may hold anything but quotes, backslashes and control
+  // characters, unless they're escaped. Characters outside the basic plane
+  // may be escaped as a pair of surrogates, which is exactly how JavaScript
+  // strings hold them anyway.
+  const string = _.pattern(/"((?:[^"\\\u0000-\u001F]|\\["\\\/bfnrt]|\\u[0-9a-fA-F]{4})*)"/)
+    .as(([all, inner]) => unescaped(inner)).named('string')
+
+  const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }
+
+  function unescaped(text) {
+    return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (all, escape) =>
+      escape.length == 1 ? ESCAPES[escape] : String.fromCharCode(parseInt(escape.substring(1), 16)))
+  }
+
+  // Arrays and objects hold values, so the grammar is recursive.
+  const value = _.to_be_defined()
+
+  const array = _.between(symbol('['), symbol(']'), _.sep_by(value, symbol(',')))
+
+  const member = _.sequence(token(string), symbol(':'), value)
+  const object = _.between(symbol('{'), symbol('}'), _.sep_by(member, symbol(',')))
+    .as(members => {
+      const result = {}
+      for (const [key, member_value] of members) own(result, key, member_value)
+      return result
+    })
+
+  // We can't just assign members. A key of `"__proto__"` would change the
+  // prototype of the object, rather than add a member to it. When a key
+  // appears more than once, the last one wins, as it does for `JSON.parse`.
+  function own(target, key, member_value) {
+    Object.defineProperty(target, key,
+      { value: member_value, writable: true, enumerable: true, configurable: true })
+  }
+
+  value.define(token(_.choice(object, array, string, number, literals))).named('value')
+
+  // A JSON text is a single value, with optional whitespace around it.
+  const json = _.sequence(ws, value, _.at_end).as(_.first_value)
+
+  // ## Parsing
+  //
+  // Most of the time you'll just want the value, or to know what went wrong.
+  //
+  // What can go wrong includes nesting too deep. Every array or object we go
+  // into takes its share of the stack, and a few hundred levels in we run out.
+  // The [RFC](https://www.rfc-editor.org/rfc/rfc8259#section-9) allows for
+  // such a limit, so we report it like any other bad input, rather than as
+  // the `RangeError` the stack gives us.
+  function parse(text) {
+    const input = new _.Stream(_.from_string(text))
+    let rest, result
+    try {
+      ;[rest, result] = json(input)
+    } catch (e) {
+      if (e instanceof RangeError) throw new Error('Bad JSON; nested too deeply')
+      throw e
+    }
+    if (rest == _.NO_MATCH) throw new Error('Bad JSON; ' + input.failure().message)
+    return result
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    // Whatever `JSON.parse` accepts, we accept, with the same result.
+    const valid = [
+      '0', '-0', '1', '-1', '12.5', '1e3', '1E-3', '-1.5e+10', '0.000001',
+      '123456789012345678901234567890',
+      'true', 'false', 'null',
+      '""', '"a"', '"\\"\\\\\\/\\b\\f\\n\\r\\t"', '"\\u0041\\u00e9"', '"\\ud83d\\ude00"',
+      '"é€😀"', '"\\u0000"',
+      '[]', '[1]', '[1,2,3]', '[[[]]]', '[1, "a", true, null, {}]',
+      '{}', '{"a":1}', '{"a":{"b":[1,{"c":null}]}}', '{"":""}',
+      ' \t\n\r[ 1 , 2 ] \n', '{ "a" : 1 , "b" : 2 }',
+      '{"a":1,"a":2}', '{"__proto__":1}'
+    ]
+    for (const text of valid) assert.deepStrictEqual(parse(text), JSON.parse(text), text)
+
+    // Keys which happen to be the names of prototype members are members like
+    // any other.
+    const proto = parse('{"__proto__":{"polluted":true}}')
+    assert(Object.getPrototypeOf(proto) === Object.prototype)
+    assert.deepStrictEqual(Object.keys(proto), ['__proto__'])
+    assert({}.polluted === undefined)
+
+    // And what it rejects, we reject.
+    const invalid = [
+      '', ' ', '01', '-', '+1', '.5', '1.', '1.e3', '1e', '0x10', 'NaN', 'Infinity', '-Infinity',
+      'tru', 'True', 'nul', "'a'", '"a', '"\\x"', '"\\u12"', '"a\nb"', '"\t"',
+      '[1,]', '[,1]', '[1 2]', '[', ']', '{"a"}', '{"a":}', '{a:1}', '{"a":1,}', '{,}',
+      '1 2', '[1]]', '// comment\n1', '/* comment */ 1', '\u00a01'
+    ]
+    for (const text of invalid) {
+      assert.throws(() => JSON.parse(text), SyntaxError, text)
+      assert.throws(() => parse(text), /^Error: Bad JSON; /, text)
+    }
+
+    // Failures say where and why.
+    assert.throws(() => parse('{"a": [1, 2,]}'), /Bad JSON; line 1, col 13: expected value/)
+    assert.throws(() => parse('{\n  "a": 01\n}'), /Bad JSON; line 2, col 9: expected one of ',', '}'/)
+
+    // Nesting has its limits. A hundred levels is fine, a few thousand isn't.
+    const nested = depth => '['.repeat(depth) + ']'.repeat(depth)
+    assert.deepStrictEqual(parse(nested(100)), JSON.parse(nested(100)))
+    assert.throws(() => parse(nested(5000)), /^Error: Bad JSON; nested too deeply$/)
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Wrapping up
+  //
+  // Next to `parse` we expose the parsers, for use in other grammars. `value`
+  // takes care of the whitespace after it, `json` of all of it.
+  return {
+    parse: parse,
+    json: json,
+    value: value,
+    string: string,
+    number: number
+  }
+})
@@ -0,0 +1,388 @@
+// # Grammars as text (prsly-peg)
+//
+// Writing grammars as nested JavaScript calls works, but once a language
+// grows beyond a handful of rules the calls start drowning out the grammar.
+// Compare
+//
+//     sequence(literal('('), many(parens), literal(')'))
+//
+// with
+//
+//     parens <- '(' parens* ')'
+//
+// The second one is a [parsing expression grammar](https://en.wikipedia.org/wiki/Parsing_expression_grammar)
+// (PEG), which is exactly what our parser combinators implement: ordered
+// choice, greedy repetition, and lookahead. So rather than inventing some new
+// machinery, we'll read grammars written in that notation, and turn them into
+// the combinators we already have. And of course we'll be using prsly itself
+// to read them.
+
+const assert = require('assert')
+define(['prsly'], function (_) {
+
+  // ## The notation
+  //
+  // A grammar is a list of rules. Each rule has a name, and an expression
+  // describing what it matches. The first rule is where parsing starts.
+  //
+  //     sum     <- product ('+' product)*
+  //     product <- number ('*' number)*
+  //     number  "number" <- [0-9]+
+  //
+  // Expressions are built up from:
+  //
+  // - `'text'` or `"text"`: matches the text literally,
+  // - `[a-z_]`: matches a single character from a class (`[^...]` negates),
+  // - `.`: matches any single character,
+  // - `name`: matches whatever the rule by that name matches,
+  // - `( ... )`: grouping,
+  // - `e*`, `e+`, `e?`: zero or more, one or more, or an optional `e`,
+  // - `&e`, `!e`: succeeds if `e` does, or doesn't, without consuming input,
+  // - `e1 e2`: a sequence,
+  // - `e1 / e2`: an ordered choice.
+  //
+  // Rules may have a readable name (`"number"` above), which is what failures
+  // will report as being expected. Comments run from a `#` to the end of the
+  // line.
+  //
+  // As for values, text and characters give us the text they matched.
+  // Repetitions give lists, optional expressions give their value (or none at
+  // all), and lookahead gives none at all. Sequences give us a list of their
+  // values, just like `sequence` does. The exception is a sequence of just one
+  // expression, which gives the value of that expression.
+  //
+  // That is a start, but we'll usually want something more useful. For that
+  // we have two more bits of notation:
+  //
+  // - `label:e`: captures the value of `e` by name. A sequence with labels
+  //   gives an object holding the labelled values (and drops the others).
+  // - `{action}`: at the end of a sequence, passes its value through the
+  //   function with that name. We get these functions from the client.
+  //
+  // For example:
+  //
+  //     sum <- left:number '+' right:number {add}
+  //
+  // with an action `add: ({left, right}) => left + right`.
+
+  // ## Reading grammars
+  //
+  // First we read the text of a grammar into a tree which describes it. Every
+  // node in the tree has a `kind`, and whatever else is needed for that kind.
+  //
+  // We'll start with the small stuff: whitespace and comments, and tokens
+  // which may be followed by them.
+  const spacing = _.pattern(/(\s|#[^\n]*)*/).as(_.ignored_value)
+  const token = parser => _.sequence(parser, spacing).as(_.first_value)
+  const symbol = text => token(_.text(text).as(_.ignored_value))
+
+  const identifier = token(_.pattern(/[A-Za-z_][A-Za-z0-9_]*/)).named('identifier')
+  const arrow = token(_.choice(_.text('<-'), _.text('=')).as(_.ignored_value)).named("'<-'")
+
+  // Literal text is quoted in single or double quotes, and may contain the
+  // usual escapes. Character classes get handed to JavaScript's regular
+  // expressions, which understand them already.
+  const quoted = token(_.choice(
+    _.pattern(/'((?:[^'\\]|\\.)*)'/),
+    _.pattern(/"((?:[^"\\]|\\.)*)"/)
+  ).as(([all, inner]) => unescaped(inner))).named('text')
+
+  const character_class = token(_.pattern(/\[((?:[^\]\\]|\\.)*)\]/)
+    .as(([all]) => ({ kind: 'class', source: all }))
+  ).named('character class')
+
+  function unescaped(text) {
+    const escapes = { n: '\n', r: '\r', t: '\t' }
+    return text.replace(/\\(.)/g, (all, c) => escapes[c] || c)
+  }
+
+  // (Note that we're careful to map values before turning things into tokens.
+  // Calling `.as` on a parser replaces whatever mapping it had, and for tokens
+  // that would be the one picking the value out of the token's sequence. For
+  // the same reason we wrap `quoted` in a sequence of one when we need a
+  // different value from it below.)
+  //
+  // On to expressions, which nest, so we declare them up front.
+  const expression = _.to_be_defined()
+
+  // A rule reference is an identifier which does not start the next rule.
+  // Which we can tell from the arrow following it.
+  const primary = _.choice(
+    _.sequence(identifier, _.not(_.sequence(_.optional(quoted), arrow)))
+      .as(([name]) => ({ kind: 'reference', name: name })),
+    _.between(symbol('('), symbol(')'), expression),
+    _.sequence(quoted).as(([text]) => ({ kind: 'literal', text: text })),
+    character_class,
+    token(_.text('.').as(() => ({ kind: 'any' })))
+  )
+
+  const suffixed = _.sequence(primary, _.optional(token(_.pattern(/[*+?]/))))
+    .as(([e, suffix]) =>
+      suffix === '*' ? { kind: 'many', expression: e }
+      : suffix === '+' ? { kind: 'many1', expression: e }
+      : suffix === '?' ? { kind: 'optional', expression: e }
+      : e
+    )
+
+  const prefixed = _.sequence(_.optional(token(_.pattern(/[&!]/))), suffixed)
+    .as(values =>
+      values.length == 1 ? values[0]
+      : { kind: values[0] == '&' ? 'and' : 'not', expression: values[1] }
+    )
+
+  // Items in a sequence may be labelled.
+  const item = _.sequence(
+    _.optional(_.sequence(identifier, symbol(':')).as(_.first_value)),
+    prefixed
+  ).as(values =>
+    values.length == 1 ? { expression: values[0] }
+    : { label: values[0], expression: values[1] }
+  )
+
+  const action = _.between(symbol('{'), symbol('}'), identifier)
+
+  const alternative = _.sequence(_.many(item), _.optional(action))
+    .as(([items, action]) => ({ kind: 'sequence', items: items, action: action }))
+
+  expression.define(_.sep_by1(alternative, symbol('/'))
+    .as(alternatives =>
+      alternatives.length == 1 ? alternatives[0]
+      : { kind: 'choice', alternatives: alternatives }
+    ))
+
+  const rule = _.sequence(identifier, _.optional(quoted), arrow, expression)
+    .as(values => ({
+      kind: 'rule',
+      name: values[0],
+      display_name: values.length == 3 ? values[1] : undefined,
+      expression: values[values.length - 1]
+    }))
+
+  const grammar = _.sequence(spacing, _.many1(rule), _.at_end).as(_.first_value)
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    _.assert_that('a <- "x"').is_a_valid(grammar).with_value(rules => {
+      assert(rules.length == 1 && rules[0].name == 'a')
+      assert(rules[0].expression.kind == 'sequence')
+      assert(rules[0].expression.items[0].expression.kind == 'literal')
+      assert(rules[0].expression.items[0].expression.text == 'x')
+    })
+
+    // Rules end where the next rule begins.
+    _.assert_that('a <- b c \n d = "\\n"* # comment\n').is_a_valid(grammar).with_value(rules => {
+      assert(rules.length == 2 && rules[1].name == 'd')
+      assert(rules[0].expression.items.length == 2)
+      assert(rules[1].expression.items[0].expression.kind == 'many')
+      assert(rules[1].expression.items[0].expression.expression.text == '\n')
+    })
+
+    _.assert_that('a "an a" <- x:b / !c &d {act}').is_a_valid(grammar).with_value(([a]) => {
+      assert(a.display_name == 'an a')
+      assert(a.expression.kind == 'choice')
+      let [first, second] = a.expression.alternatives
+      assert(first.items[0].label == 'x' && first.items[0].expression.name == 'b')
+      assert(second.items[0].expression.kind == 'not')
+      assert(second.items[1].expression.kind == 'and')
+      assert(second.action == 'act')
+    })
+
+    _.assert_that('a <- ([a-z] .)+').is_a_valid(grammar).with_value(([a]) => {
+      let repeated = a.expression.items[0].expression
+      assert(repeated.kind == 'many1' && repeated.expression.kind == 'sequence')
+      assert(repeated.expression.items[0].expression.source == '[a-z]')
+      assert(repeated.expression.items[1].expression.kind == 'any')
+    })
+
+    _.assert_that('a <- (b').is_not_a_valid(grammar)
+    _.assert_that('<- b'   ).is_not_a_valid(grammar)
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Compiling grammars
+  //
+  // Now we turn those trees into parsers. Every rule becomes a parser which is
+  // declared with `to_be_defined`, so that rules can reference each other (and
+  // themselves, even on the left) regardless of the order they're in. Rules
+  // with a readable name get named after it.
+  //
+  // Errors in the grammar get reported by throwing them, as there's little
+  // else we can do with a broken grammar.
+  function compile(source, actions) {
+    actions = actions || {}
+
+    const input = new _.Stream(_.from_string(source))
+    const [rest, rules] = grammar(input)
+    if (rest == _.NO_MATCH)
+      throw new Error('Bad grammar; ' + input.failure().message)
+
+    const parsers = {}
+    for (const rule of rules) {
+      if (parsers[rule.name] !== undefined)
+        throw new Error("Rule '" + rule.name + "' is defined more than once.")
+      parsers[rule.name] = _.to_be_defined()
+    }
+
+    for (const rule of rules) {
+      parsers[rule.name].define(compiled(rule.expression, parsers, actions))
+      if (rule.display_name !== undefined) parsers[rule.name].named(rule.display_name)
+    }
+
+    return { start: parsers[rules[0].name], rules: parsers }
+  }
+
+  // Each kind of node maps onto one of the combinators we have.
+  function compiled(node, parsers, actions) {
+    const compile_inner = inner => compiled(inner, parsers, actions)
+
+    switch (node.kind) {
+      case 'literal':
+        return _.text(node.text)
+
+      case 'class': {
+        const regexp = new RegExp('^' + node.source + '$')
+        return _.is(value => value != null && regexp.test(value), node.source)
+      }
+
+      case 'any':
+        return _.is(value => value != null, 'any character')
+
+      case 'reference':
+        if (parsers[node.name] === undefined)
+          throw new Error("Rule '" + node.name + "' is not defined.")
+        return parsers[node.name]
+
+      case 'many':     return _.many(compile_inner(node.expression))
+      case 'many1':    return _.many1(compile_inner(node.expression))
+      case 'optional': return _.optional(compile_inner(node.expression))
+      case 'not':      return _.not(compile_inner(node.expression))
+      case 'and':      return _.not(_.not(compile_inner(node.expression)))
+
+      case 'choice':
+        return _.choice(...node.alternatives.map(compile_inner))
+
+      // A sequence with labels collects the labelled values into an object,
+      // which is what `fields` does.
+      case 'sequence': {
+        const parts = node.items.map(item => item.label === undefined
+          ? compile_inner(item.expression)
+          : _.label(item.label, compile_inner(item.expression)))
+
+        let parser = node.items.some(item => item.label !== undefined) ? _.fields(...parts)
+          : parts.length == 1 ? parts[0]
+          : _.sequence(...parts)
+
+        if (node.action === undefined) return parser
+
+        const action_fn = actions[node.action]
+        if (typeof action_fn !== 'function')
+          throw new Error("Action '" + node.action + "' is not defined.")
+
+        // Actions map values the way `as` does. But `as` changes the parser
+        // it's given, and a lone item may well be a rule in its own right,
+        // which should go on returning what it did everywhere else. So we
+        // map a choice of just that item instead.
+        if (parser === parts[0]) parser = _.choice(parser)
+        return parser.as(action_fn)
+      }
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    // The nested parentheses from before.
+    const parens = compile(`parens <- '(' parens* ')'`).start
+    _.assert_that('()'    ).is_a_valid(parens)
+    _.assert_that('(()())').is_a_valid(parens)
+    _.assert_that('(()'   ).is_not_a_valid(parens)
+
+    // Plain values.
+    const plain = compile(`
+      list  <- '[' items? ']'
+      items <- item (',' item)*
+      item  <- [a-z]+
+    `).rules
+    _.assert_that('[a,bc]').is_a_valid(plain.list).with_value(_.equal_to(
+      ['[', [['a'], [[',', ['b', 'c']]]], ']']
+    ))
+    _.assert_that('[]').is_a_valid(plain.list).with_value(_.equal_to(['[', ']']))
+    _.assert_that('ab').is_a_valid(plain.item).with_value(_.equal_to(['a', 'b']))
+
+    // Labels, actions and left recursion make for a readable calculator.
+    const calculator = compile(`
+      # Operators of the same precedence associate to the left.
+      sum     <- l:sum '+' r:product {add}
+               / l:sum '-' r:product {subtract}
+               / product
+      product <- l:product '*' r:value {multiply}
+               / value
+      value   <- '(' v:sum ')' {inner}
+               / number
+      number "number" <- [0-9]+ {integer}
+    `, {
+      add:      ({ l, r }) => l + r,
+      subtract: ({ l, r }) => l - r,
+      multiply: ({ l, r }) => l * r,
+      inner:    ({ v }) => v,
+      integer:  digits => parseInt(digits.join(''))
+    }).start
+
+    _.assert_that('42'         ).is_a_valid(calculator).with_value(_.equal_to(42))
+    _.assert_that('1+2*3'      ).is_a_valid(calculator).with_value(_.equal_to(7))
+    _.assert_that('10-4-3'     ).is_a_valid(calculator).with_value(_.equal_to(3))
+    _.assert_that('(1+2)*(3+4)').is_a_valid(calculator).with_value(_.equal_to(21))
+
+    // Readable names show up in failures.
+    const input = new _.Stream(_.from_string('1+*2'))
+    calculator(input)
+    assert(input.failure().message == "line 1, col 3: expected one of '(', number")
+
+    // Labels make `fields`, and actions map values with `as`, so anything
+    // which looks at a grammar sees them for what they are. An action on a
+    // lone rule leaves that rule as it is everywhere else.
+    const mapped = compile(`
+      pair  <- k:name '=' v:upper
+      upper <- name {upper}
+      name  <- [a-z]+ {joined}
+    `, { upper: name => name.toUpperCase(), joined: letters => letters.join('') }).rules
+    _.assert_that('a=b').is_a_valid(mapped.pair)
+      .with_value(value => assert.deepStrictEqual(value, { k: 'a', v: 'B' }))
+    _.assert_that('ab' ).is_a_valid(mapped.name).with_value(_.equal_to('ab'))
+
+    const pair = _.description_of(_.description_of(mapped.pair).children[0])
+    assert(pair.kind == 'fields')
+    assert.deepStrictEqual(pair.children.map(child => _.description_of(child).kind), ['label', 'text', 'label'])
+
+    // Lookahead, and any character. Here: a quoted string, with the quotes
+    // dropped.
+    const quoted_string = compile(`
+      string <- '"' c:(!'"' .)* '"' {text}
+    `, { text: ({ c }) => c.map(pair => pair[0]).join('') }).start
+    _.assert_that('"a b"').is_a_valid(quoted_string).with_value(_.equal_to('a b'))
+    _.assert_that('"a b' ).is_not_a_valid(quoted_string)
+
+    const keyword = compile(`keyword <- &[a-z] ('if' / 'else') ![a-z]`).start
+    _.assert_that('if'   ).is_a_valid(keyword).with_value(_.equal_to('if'))
+    _.assert_that('iffy' ).is_not_a_valid(keyword)
+
+    // Broken grammars get reported.
+    assert.throws(() => compile(`a <- (b`), /Bad grammar; line 1, col 8: expected/)
+    assert.throws(() => compile(`a <- b`), /Rule 'b' is not defined/)
+    assert.throws(() => compile(`a <- 'x' {nope}`), /Action 'nope' is not defined/)
+    assert.throws(() => compile(`a <- 'x' \n a <- 'y'`), /defined more than once/)
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Wrapping up
+  //
+  // All a client needs is the compiler. The grammar for grammars is there too,
+  // for anyone who wants to do something else with the trees.
+  return {
+    compile: compile,
+    grammar: grammar
+  }
+})
@@ -0,0 +1,367 @@
+// # Printing values (prsly-print)
+//
+// Parsers turn text into values. Quite often we'd like to go the other way
+// as well: read a configuration file, change a setting, and write it back.
+// Rather than writing a printer by hand, and keeping it in line with the
+// parser from then on, we'll have the grammar do the work.
+//
+// Parsers [describe](prsly.html#describing-parsers) what they're made of,
+// and for most combinators it's clear how to run them in reverse. A `text`
+// prints its text. A `sequence` prints its values, one after the other. A
+// `choice` prints with the first alternative which can. And so on.
+//
+// Two things need some help. Values which were mapped with `.as(...)` need a
+// way back to the value they were made from, which you pass as the second
+// argument to `as`. (Some value functions, like `joined_value`, bring their
+// own.) And parsers which don't leave a value, like whitespace which gets
+// ignored, print whatever is the simplest text they'd accept. Unless we're
+// told otherwise, which is what formatting is for.
+//
+// Finally, we make sure that what we printed parses into the value we were
+// given. If it doesn't, we complain. So whatever gets printed is guaranteed
+// to make the round trip.
+
+const assert = require('assert')
+const { isDeepStrictEqual } = require('util')
+define(['prsly'], function (_) {
+
+  // ## Printers
+  //
+  // A printer is made for a parser, with an optional format. The format maps
+  // parsers which don't leave a value onto the text they should print. That
+  // text may also be a function, which gets told how deeply we're nested in
+  // rules. `depth_of(rule)` tells how many times we're in that rule, which
+  // is handy for indenting.
+  //
+  // When something can't be printed we throw, with the best reason we could
+  // find.
+  function printer(parser, format) {
+    format = format || new Map()
+
+    return value => {
+      const context = { format: format, open: [], reason: undefined }
+      const printed = print(parser, value, context)
+      if (printed === undefined)
+        throw new Error('Cannot print ' + shown(value)
+          + (context.reason === undefined ? '.' : ': ' + context.reason + '.'))
+
+      const stream = new _.Stream(_.from_string(printed))
+      const [next, again] = parser(stream)
+      if (next == _.NO_MATCH || next.head() != null)
+        throw new Error('Printed ' + shown(printed) + ', which does not parse: ' + stream.failure().message)
+      if (!isDeepStrictEqual(comparable(again), comparable(value)))
+        throw new Error('Printed ' + shown(printed) + ', which parses as ' + shown(again)
+          + ' rather than ' + shown(value) + '.')
+
+      return printed
+    }
+  }
+
+  // [Nodes](prsly.html#building-trees) know where they came from, which may
+  // not be where they end up once printed. So we don't compare where.
+  function comparable(value) {
+    if (Array.isArray(value)) return value.map(comparable)
+    if (!(value instanceof _.Node)) return value
+
+    const compared = {}
+    for (const key of Object.keys(value))
+      if (key != 'start' && key != 'end') compared[key] = comparable(value[key])
+    return compared
+  }
+
+  function shown(value) {
+    return value === undefined ? 'no value' : JSON.stringify(value)
+  }
+
+  // We print parsers for one of three things: a value, no value at all
+  // (`NO_VALUE`), or anything they like. The last one is for the insides of
+  // parsers whose value gets ignored, which may match whatever they want.
+  const ANYTHING = { toString: () => 'anything' }
+
+  // Printing returns the text, or `undefined` if the parser can't print what
+  // we asked for. Where that's for lack of a way back, rather than because
+  // the value just doesn't fit, we note why.
+  function print(parser, value, context) {
+    if ((value === ANYTHING || value === _.NO_VALUE) && context.format.has(parser)) {
+      const formatted = context.format.get(parser)
+      return typeof formatted === 'function' ? formatted(info(context)) : formatted
+    }
+
+    const description = _.description_of(parser)
+    if (description.mapping === undefined || value === ANYTHING)
+      return print_unmapped(parser, description, value, context)
+
+    // Mappings which ignore the value, or replace it with a constant, get to
+    // print anything at all. Values of `NO_VALUE` never got mapped to begin
+    // with. For anything else we need the way back.
+    const mapping = description.mapping
+    const reverse = description.reverse || mapping.reverse
+
+    if (mapping === _.ignored_value)
+      return value === _.NO_VALUE ? print_unmapped(parser, description, ANYTHING, context) : undefined
+    if (value === _.NO_VALUE)
+      return print_unmapped(parser, description, value, context)
+    if ('constant' in mapping)
+      return isDeepStrictEqual(value, mapping.constant)
+        ? print_unmapped(parser, description, ANYTHING, context)
+        : undefined
+    if (reverse === undefined)
+      return cannot(context, 'a mapping has no way back')
+
+    let unmapped
+    try { unmapped = reverse(value) }
+    catch (e) { return undefined }
+    return print_unmapped(parser, description, unmapped, context)
+  }
+
+  function cannot(context, reason) {
+    if (context.reason === undefined) context.reason = reason
+    return undefined
+  }
+
+  function info(context) {
+    return {
+      depth: context.open.length,
+      depth_of: rule => context.open.filter(open => open === rule).length
+    }
+  }
+
+  // ## Running combinators in reverse
+  //
+  // Here's the bulk of it. For each kind of parser we check that the value
+  // has the shape the parser would give it, and print its parts.
+  function print_unmapped(parser, description, value, context) {
+    const [first, second, third] = description.children
+    const anything = value === ANYTHING
+    const none = value === _.NO_VALUE
+    const more = (child, child_value) => print(child, child_value, context)
+
+    switch (description.kind) {
+      case 'rule':
+        context.open.push(parser)
+        try { return more(first, value) }
+        finally { context.open.pop() }
+
+      case 'memoized':
+      case 'recover':
+      case 'commit':
+      case 'provided':
+      case 'label':
+        return more(first, value)
+
+      case 'located':
+        return anything ? more(first, ANYTHING)
+          : value != null && 'value' in value ? more(first, value.value)
+          : undefined
+
+      case 'text':
+        return anything || value === description.text ? description.text : undefined
+
+      case 'literal':
+        if (typeof description.value !== 'string') return cannot(context, 'only text can be printed')
+        return anything || value === description.value ? description.value : undefined
+
+      case 'is':
+      case 'any':
+        if (anything) return simplest(parser, context)
+        return typeof value === 'string' && value.length == 1 && accepts(parser, value) ? value : undefined
+
+      case 'pattern':
+        const whole = new RegExp('^(?:' + description.pattern.source + ')$', description.pattern.flags.replace(/[gy]/g, ''))
+        if (anything) return simplest(parser, context)
+        const matched = Array.isArray(value) ? value[0] : value
+        return typeof matched === 'string' && whole.test(matched) ? matched : undefined
+
+      case 'empty':
+      case 'not':
+      case 'at_end':
+        return anything || none ? '' : undefined
+
+      case 'optional':
+        if (anything || none) return ''
+        return more(first, value)
+
+      case 'skip_to':
+        if (anything || none) return ''
+        return Array.isArray(value) && value.every(x => typeof x === 'string') ? value.join('') : undefined
+
+      case 'sequence':
+      case 'enclosed':
+        if (anything) return all(description.children.map(child => more(child, ANYTHING)))
+        return Array.isArray(value) ? spread(description.children, value, 0, 0, context) : undefined
+
+      // Fields only keep the values of labelled parts. Anything unlabelled
+      // can be printed however it likes, as it would parse into the same
+      // fields anyway.
+      case 'fields':
+        if (anything) return all(description.children.map(child => more(child, ANYTHING)))
+        if (value == null || typeof value !== 'object') return undefined
+        return all(description.children.map(child => {
+          const part = _.description_of(child)
+          return part.kind == 'label' ? more(child, value[part.label]) : more(child, ANYTHING)
+        }))
+
+      case 'choice':
+        for (const alternative of description.children) {
+          const printed = more(alternative, value)
+          if (printed !== undefined) return printed
+        }
+        return undefined
+
+      case 'many':
+        if (anything) return ''
+        return Array.isArray(value) ? all(value.map(x => more(first, x))) : undefined
+
+      case 'count':
+      case 'at_least':
+        if (anything || (Array.isArray(value) && value.length == 0 && description.count > 0))
+          return all(Array(description.count).fill(anything ? ANYTHING : _.NO_VALUE).map(x => more(first, x)))
+        if (!Array.isArray(value) || value.length < description.count) return undefined
+        if (description.kind == 'count' && value.length > description.count) return undefined
+        return all(value.map(x => more(first, x)))
+
+      case 'sep_by1':
+      case 'sep_by':
+        if (anything) return description.kind == 'sep_by' ? '' : more(first, ANYTHING)
+        if (!Array.isArray(value) || (description.kind == 'sep_by1' && value.length == 0)) return undefined
+        const separator = more(second, ANYTHING)
+        return separator === undefined ? undefined : all(value.map(x => more(first, x)), separator)
+
+      case 'end_by':
+        if (anything) return ''
+        if (!Array.isArray(value)) return undefined
+        return all(value.map(x => all([more(first, x), more(second, ANYTHING)])))
+
+      case 'between':
+        return all([more(first, ANYTHING), more(second, value), more(third, ANYTHING)])
+
+      case 'chainl1':
+      case 'chainr1':
+      case 'operators':
+        if (anything) return more(first, ANYTHING)
+        return cannot(context, 'combined values can not be taken apart')
+
+      default:
+        return cannot(context, "a '" + description.kind + "' parser can not be printed")
+    }
+  }
+
+  // Printed parts get joined, unless one of them couldn't be printed. Then
+  // we can't print the whole either.
+  function all(parts, separator) {
+    return parts.includes(undefined) ? undefined : parts.join(separator || '')
+  }
+
+  // The values of a sequence don't line up with its parts, as parts which
+  // leave no value get left out. So we try to spread the values over the
+  // parts: each part takes the next value if it can, or none at all if not.
+  // If we get stuck further on, we go back and try the other way.
+  function spread(parts, values, part, next, context) {
+    if (part == parts.length) return next == values.length ? '' : undefined
+
+    if (next < values.length) {
+      const printed = print(parts[part], values[next], context)
+      if (printed !== undefined) {
+        const rest = spread(parts, values, part + 1, next + 1, context)
+        if (rest !== undefined) return printed + rest
+      }
+    }
+
+    const printed = print(parts[part], _.NO_VALUE, context)
+    if (printed === undefined) return undefined
+    const rest = spread(parts, values, part + 1, next, context)
+    return rest === undefined ? undefined : printed + rest
+  }
+
+  // Single characters and patterns are tests we can't look into. To find the
+  // simplest text they accept we try nothing, then a space, and then all
+  // other characters, in order.
+  const CANDIDATES = [''].concat(Array.from({ length: 95 }, (x, i) => String.fromCharCode(32 + i)), ['\n', '\t'])
+
+  function simplest(parser, context) {
+    const found = CANDIDATES.find(candidate => accepts(parser, candidate))
+    return found === undefined ? cannot(context, 'no simple text matches a parser') : found
+  }
+
+  function accepts(parser, text) {
+    const [next] = parser(new _.Stream(_.from_string(text)))
+    return next != _.NO_MATCH && next.offset == text.length
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    // Raw values print as they are.
+    const digit = _.is(x => x >= '0' && x <= '9')
+    const pair = _.sequence(_.literal('('), digit, _.literal(','), digit, _.literal(')'))
+    assert.equal(printer(pair)(['(', '1', ',', '2', ')']), '(1,2)')
+    assert.throws(() => printer(pair)(['(', 'x', ',', '2', ')']), /Cannot print/)
+
+    // Mapped values need a way back. Ignored values print the simplest thing
+    // which matches, unless the format says otherwise.
+    const number = _.many1(digit).as(_.int_value)
+    const spaces = _.pattern(/ */).as(_.ignored_value)
+    const comma = _.sequence(spaces, _.text(','), spaces).as(_.ignored_value)
+    const numbers = _.sep_by(number, comma)
+
+    assert.equal(printer(numbers)([1, 22, 333]), '1,22,333')
+    assert.equal(printer(numbers, new Map([[comma, ', ']]))([1, 22, 333]), '1, 22, 333')
+    assert.equal(printer(numbers)([]), '')
+
+    const point = _.sequence(number, comma, number)
+      .as(([x, y]) => ({ x: x, y: y }), ({ x, y }) => [x, y])
+    assert.equal(printer(point)({ x: 3, y: 4 }), '3,4')
+
+    const unmapped = _.sequence(number, comma, number).as(([x, y]) => ({ x: x, y: y }))
+    assert.throws(() => printer(unmapped)({ x: 3, y: 4 }), /Cannot print .*: a mapping has no way back\./)
+
+    // Constants pick the alternative they came from.
+    const bool = _.choice(_.text('yes').as(_.constant_value(true)), _.text('no').as(_.constant_value(false)))
+    assert.equal(printer(bool)(false), 'no')
+
+    // Optional parts, and parts without a value, get spread out properly.
+    const sign = _.optional(_.text('-'))
+    const signed = _.sequence(sign, _.not(_.text('0')), number, _.optional(_.text('%')))
+    assert.equal(printer(signed)(['-', 12]), '-12')
+    assert.equal(printer(signed)([12, '%']), '12%')
+    assert.equal(printer(signed)([12]), '12')
+
+    // Printing something which doesn't parse back gets caught. Here the
+    // leading zero gets lost.
+    assert.throws(() => printer(signed)([0]), /Printed "0", which does not parse/)
+
+    // Formatting can depend on how deeply nested we are in a rule.
+    const list = _.to_be_defined()
+    const space = () => _.pattern(/\s*/).as(_.ignored_value)
+    const [before_item, before_closing] = [space(), space()]
+    const item = _.sequence(before_item, _.choice(number, list)).as(_.first_value)
+    list.define(_.between(_.text('['), _.sequence(before_closing, _.text(']')), _.sep_by(item, _.text(','))))
+
+    const indented = new Map([
+      [before_item, ({ depth_of }) => '\n' + '  '.repeat(depth_of(list))],
+      [before_closing, ({ depth_of }) => '\n' + '  '.repeat(depth_of(list) - 1)]
+    ])
+    assert.equal(printer(list, indented)([1, [2, 3]]), '[\n  1,\n  [\n    2,\n    3\n  ]\n]')
+    assert.equal(printer(list)([1, [2, 3]]), '[1,[2,3]]')
+
+    // Fields print their labelled values, and nodes their fields. A changed
+    // tree ends up elsewhere, which doesn't matter.
+    const name = _.pattern(/[a-z]+/)
+    const assignment = _.node('Assignment', _.fields(
+      _.label('target', name), spaces, _.text('='), spaces, _.label('value', _.node('Number', number))))
+    const [, tree] = assignment(new _.Stream(_.from_string('x = 42')))
+    assert.equal(printer(assignment)(tree), 'x=42')
+    assert.equal(printer(assignment, new Map([[spaces, ' ']]))(tree), 'x = 42')
+
+    const changed = _.transform(tree, { Number: node => Object.assign(node, { value: 12345 }) })
+    assert.equal(printer(assignment)(changed), 'x=12345')
+    assert.throws(() => printer(assignment)({ target: 'x' }), /Cannot print/)
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Wrapping up
+  return {
+    printer: printer
+  }
+})
@@ -45,10 +45,61 @@ define([], function () {
   // But enough introduction; let's get to it. Here is the constructor of a
   // stream. Note the lazy members, which are initialized to `undefined` to
   // flag their values have not yet been generated.
-  function Stream(generator_fn) {
+  //
+  // Each stream also knows where it is: its offset in the input, and the line
+  // and column that offset corresponds to (which only really makes sense for
+  // text, but is cheap enough to track regardless). The first stream gets
+  // created by the client and starts at the very beginning. Every other one
+  // gets created by its predecessor, and moves one value further along.
+  //
+  // Finally, all streams over the same input share a `source`. We'll be using
+  // that as a place to record what went wrong during a parse. More on that
+  // when we get to [reporting failures](#reporting-failures).
+  //
+  // (Sometimes the input we're streaming is itself part of some bigger input.
+  // The client may then tell us where in that bigger input we start, as the
+  // `origin`. We'll keep that with the source, and take it into account when
+  // telling anyone [where we are](#knowing-where-things-came-from).)
+  //
+  // (Streams may also carry a state for the parsers to use. Those are copies
+  // of a plain stream, which they get their values from. More on that when
+  // we get to [streams with state](#streams-with-state).)
+  function Stream(generator_fn, previous, origin) {
     this.generator_fn = generator_fn
     this.lazy_head = undefined
     this.lazy_tail = undefined
+    this.memo = undefined
+    this.reaches = undefined
+    this.recovered = undefined
+    this.active = undefined
+    this.state = undefined
+    this.plain = undefined
+    this.states = undefined
+    this.answers = undefined
+
+    if (previous === undefined) {
+      this.offset = 0
+      this.line = 1
+      this.column = 1
+      this.previous_value = undefined
+      this.source = {
+        text: generator_fn.text,
+        is_text: generator_fn.text !== undefined || generator_fn.is_text === true,
+        origin: origin || { offset: 0, line: 1, column: 1 },
+        failure: { at: null, expected: [] },
+        errors: [],
+        tracing: undefined,
+        is_async: false,
+        looked_at: 0
+      }
+
+    } else {
+      this.offset = previous.offset + 1
+      this.line = previous.head() == '\n' ? previous.line + 1 : previous.line
+      this.column = previous.head() == '\n' ? 1 : previous.column + 1
+      this.previous_value = previous.head()
+      this.source = previous.source
+    }
   }
 
   // Laziness is fine, but at some point we need to get work done. The first
@@ -57,10 +108,14 @@ define([], function () {
   // is asked this question, it simply calls the generator function and returns
   // the value it gets. But it will also store that value so that any further
   // requests will get the same answer.
+  //
+  // We also keep track of how far into the input anyone has looked. That's
+  // something we'll need when [editing text](#editing-text).
   Stream.prototype.head = function() {
     if (this.lazy_head === undefined)
-      this.lazy_head = this.generator_fn()
+      this.lazy_head = this.plain !== undefined ? this.plain.head() : this.generator_fn()
 
+    if (this.source.looked_at <= this.offset) this.source.looked_at = this.offset + 1
     return this.lazy_head
   }
 
@@ -78,13 +133,67 @@ define([], function () {
     if (this.lazy_tail === undefined) {
       if (this.head() == null)
         this.lazy_tail = null
+      else if (this.plain !== undefined)
+        this.lazy_tail = this.plain.tail().with_state(this.state)
       else
-        this.lazy_tail = new Stream(this.generator_fn)
+        this.lazy_tail = new Stream(this.generator_fn, this)
     }
 
     return this.lazy_tail
   }
+
+  // The offset, line and column a stream tracks are relative to its own
+  // input. This works out where it is in terms of the original input, by
+  // taking the origin of its source into account.
+  Stream.prototype.position = function() {
+    let origin = this.source.origin
+    return {
+      offset: origin.offset + this.offset,
+      line: origin.line + this.line - 1,
+      column: this.line == 1 ? origin.column + this.column - 1 : this.column
+    }
+  }
   
+  // ### Streams with state
+  //
+  // Some grammars need to know more than where they are: which names have
+  // been declared so far, whether we're inside a loop, how far the current
+  // block is indented. We could keep such things in variables on the side,
+  // but then we'd have to undo every change whenever a parser backtracks.
+  // Which is pretty much all the time.
+  //
+  // So instead we let streams carry a state, of the user's choosing. A parser
+  // which changes the state returns a stream with the new state, and whatever
+  // comes next gets to see it. When we backtrack we go back to a stream we had
+  // before, and so to the state we had before. For that to work, a state must
+  // never be changed in place. Every change makes a new state.
+  //
+  // A stream with another state is another stream, even at the same position.
+  // It gets its values from the plain stream (so they're still only read
+  // once), but it has a tail of its own, as well as its own memo. After all,
+  // the same parser may well do something else in another state. We keep one
+  // such stream per state at each position, so that when we get back to the
+  // same state at the same position we also get back what we remembered.
+  //
+  // To start off with a state, give it to the first stream:
+  // ``new Stream(from_string(text)).with_state(state)``.
+  Stream.prototype.with_state = function(state) {
+    let plain = this.plain || this
+    if (state === undefined) return plain
+    if (plain.states === undefined) plain.states = new Map()
+
+    let stream = plain.states.get(state)
+    if (stream === undefined) {
+      stream = Object.assign(Object.create(Stream.prototype), plain, {
+        lazy_head: undefined, lazy_tail: undefined, memo: undefined, reaches: undefined,
+        recovered: undefined, active: undefined, answers: undefined, state: state, plain: plain, states: undefined
+      })
+      plain.states.set(state, stream)
+    }
+
+    return stream
+  }
+
   // ### Streams of characters
   //
   // The most common use case for parsers is to process text, or strings. So
@@ -95,12 +204,18 @@ define([], function () {
   //
   // The following generator function will return each character of a given
   // string in turn.
+  //
+  // We also hand over the string itself. This tells streams they're working
+  // on text, so positions in it can be reported in terms of lines and columns.
+  // And some parsers will want to look at the text directly, as we'll see.
   function from_string(string) {
     let position = 0
-    return function() {
+    let generator_fn = function() {
       if (position < string.length) return string.charAt(position++)
       else return null
     }
+    generator_fn.text = string
+    return generator_fn
   }
 
   // --------------------------------------------------------------------------
@@ -121,6 +236,13 @@ define([], function () {
     // the stream from there. So we can go back to the first value (or any
     // other) whenever we want.
     assert(abc.head() === 'a')
+    // Each step along the way knows its position.
+    assert(abc.offset === 0 && abc.line === 1 && abc.column === 1)
+    assert(abc.tail().tail().offset === 2 && abc.tail().tail().column === 3)
+
+    // Newlines move us on to the next line.
+    let lines = new Stream(from_string('a\nb'))
+    assert(lines.tail().tail().line === 2 && lines.tail().tail().column === 1)
   }
   // --------------------------------------------------------------------------
 
@@ -168,19 +290,93 @@ define([], function () {
   // failed ? Let's define some constants for these:
   let NO_MATCH = null
   let NO_VALUE = undefined
-  
+
+  // ### Reporting failures
+  //
+  // A failed match doesn't tell us much: just `NO_MATCH`. That's fine while
+  // parsers are trying out alternatives, but when a whole parse fails we'd
+  // really like to know where and why.
+  //
+  // The trick is to realize that the most interesting failure is usually the
+  // one which got furthest into the input. Everything before that point was
+  // matched by something, after all. So whenever a parser fails to match it
+  // tells the stream what it was expecting there. The stream passes this on to
+  // the source it shares with all other streams over the same input, which
+  // remembers only those expectations made at the furthest position seen so
+  // far.
+  //
+  // Parsers need not describe what they expected. If they don't they still
+  // help in tracking the furthest position.
+  Stream.prototype.expected = function(description) {
+    let failure = this.source.failure
+    if (failure.at === null || this.offset > failure.at.offset) {
+      failure.at = this
+      failure.expected = []
+    }
+
+    if (this.offset == failure.at.offset && description !== undefined
+        && failure.expected.indexOf(description) < 0)
+      failure.expected.push(description)
+  }
+
+  // When it's time to report we gather everything we know into a single
+  // object, including a readable message. If no parser has failed yet we
+  // simply report on the stream itself.
+  //
+  // Lines and columns are only known for text. Or for values which know where
+  // they came from in some text, like the [tokens](#tokens) we'll see later.
+  Stream.prototype.failure = function() {
+    let at = this.source.failure.at || this
+    let expected = this.source.failure.expected.slice()
+    let found = at.head()
+
+    let position = this.source.is_text ? at.position()
+      : found != null && found.start !== undefined ? found.start
+      : null
+    let where = position !== null
+      ? 'line ' + position.line + ', col ' + position.column
+      : 'offset ' + at.position().offset
+
+    let what = expected.length == 0 ? 'unexpected ' + describe(found)
+      : expected.length == 1 ? 'expected ' + expected[0]
+      : 'expected one of ' + expected.join(', ')
+
+    return {
+      offset: at.position().offset,
+      line: position !== null ? position.line : undefined,
+      column: position !== null ? position.column : undefined,
+      expected: expected,
+      found: found,
+      message: where + ': ' + what
+    }
+  }
+
+  // This is how we describe values in those messages. Strings get quoted,
+  // with newlines and tabs spelled out. Tokens get described by their kind
+  // and text.
+  function describe(value) {
+    if (value == null) return 'end of input'
+    else if (typeof value === 'string')
+      return "'" + value.replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t') + "'"
+    else if (value.kind !== undefined && typeof value.text === 'string')
+      return value.kind + " '" + value.text + "'"
+    else return JSON.stringify(value)
+  }
+
   // ### Parsing a single value
   //
   // Time to put this together. The simplest parser is one which tests a
   // single value in the stream and, if the test passed, returns that value
   // as its result as well as the remainder (here: the tail) of the stream.
-  function match(test_value_fn) {
+  // If the test failed we note what we were expecting, if we've been told.
+  function match(test_value_fn, description) {
     return function(stream) {
       let value = stream.head()
       if (test_value_fn(value))
         return [stream.tail(), value]
-      else
-        return [NO_MATCH, NO_VALUE]
+
+      stream.expected(description)
+      return [NO_MATCH, NO_VALUE]
     }
   }
 
@@ -198,17 +394,19 @@ define([], function () {
     
     return {
       // This version is for the simplest assertion: that the given parser
-      // should return a match on the input.
+      // should return a match on the input. If it doesn't we report why.
       matches: parser => {
         let [stream, value] = parser(input)
-        assert(stream != NO_MATCH)
+        assert(stream != NO_MATCH, input.failure().message)
         return { with_value: (f) => f(value) }
       },
       // This assertion is stronger: the given parser should match **all** of
-      // the input.
+      // the input. Leftover input counts as a failure to reach the end.
       is_a_valid: parser => {
         let [stream, value] = parser(input)
-        assert(stream != NO_MATCH && stream.head() == null)
+        if (stream != NO_MATCH && stream.head() != null)
+          stream.expected(describe(null))
+        assert(stream != NO_MATCH && stream.head() == null, input.failure().message)
         return { with_value: (f) => f(value) }
       },
       // This asserts the inverse: that a given parser will not match.
@@ -264,18 +462,23 @@ define([], function () {
   // This is fine, but we really want to let the user have the ability to
   // remap that value to something which is of use to him or her.
   function as(parser, mapping_fn) {
-    return function(stream) {
+    let mapping_parser = function(stream) {
       let [next, value] = parser(stream)
       if (next === NO_MATCH || value === NO_VALUE)
         return [next, NO_VALUE]
       else
-        return [next, mapping_fn(value)]
+        return [next, answered(stream, next, mapping_parser, () => mapping_fn(value))]
     }
+    return mapping_parser
   }
 
   // This is actually already an example of a parser combinator. It doesn't
   // change the parsing, but it does change the value returned by another
   // parser.
+  //
+  // (You can read ``answered(...)`` as just calling `mapping_fn`. It only
+  // does more when a value is something we have to [wait
+  // for](#waiting-for-values), which we'll get to much later.)
 
   // --------------------------------------------------------------------------
   // **Test**
@@ -295,22 +498,69 @@ define([], function () {
   // prefer a [fluent interface](https://en.wikipedia.org/wiki/Fluent_interface)
   // and instead write ``date_time.as(date_time_value)``. To that end we will
   // create a function which takes a parser function and wraps it as needed.
-  function as_fluent_parser(parser) {
+  //
+  // While we're at it, we'll also let the user give a parser a name, as in
+  // ``digit.named('digit')``. When a named parser fails without getting any
+  // further than where it started, we'll report the name as what was expected
+  // there, rather than whatever its insides were expecting. So instead of
+  // "expected one of '0', '1', ..." we get to say "expected digit".
+  //
+  // Finally, the parser gets a description of what it is made of. That's what
+  // lets us look at a grammar once it has been put together, rather than just
+  // run it. We'll come back to that [later](#describing-parsers).
+  function as_fluent_parser(parser, description) {
     let value_fn = (a => a)
-    let fluent_parser = as(parser, value => value_fn(value))
+    let name = undefined
+
+    let named_parser = stream => {
+      if (name === undefined) return parser(stream)
+
+      let failure = stream.source.failure
+      let [at, expected] = [failure.at, failure.expected.slice()]
+
+      let [next, value] = parser(stream)
+      if (next == NO_MATCH && (failure.at === null || failure.at.offset <= stream.offset)) {
+        [failure.at, failure.expected] = [at, expected]
+        stream.expected(name)
+      }
+
+      return [next, value]
+    }
+
+    // When [tracing](#tracing-parsers) we note every time we're called.
+    let tracing_parser = stream => stream.source.tracing === undefined
+      ? named_parser(stream)
+      : traced_call(stream, fluent_parser.description, named_parser)
+
+    let fluent_parser = as(tracing_parser, value => value_fn(value))
     
-    fluent_parser.as = function(user_value_fn) {
+    // A mapping may come with a way back, from the value it makes to the value
+    // it was given. We don't need it for parsing, but it's what lets us print
+    // values as text again (see `prsly-print`). Value functions may carry their
+    // own way back, as some of the ones [below](#mapping-values) do.
+    fluent_parser.as = function(user_value_fn, reverse_fn) {
       value_fn = user_value_fn
+      fluent_parser.description.mapping = user_value_fn
+      fluent_parser.description.reverse = reverse_fn
+      return fluent_parser
+    }
+
+    fluent_parser.named = function(user_name) {
+      name = user_name
+      fluent_parser.description.name = user_name
       return fluent_parser
     }
+
+    fluent_parser.description = Object.assign({ kind: 'custom', children: [] }, description)
     
     return fluent_parser
   }
 
   // With that let's make the final version of our parser combinators which
   // tests a single value in the stream.
-  function is(test_value_fn) {
-    return as_fluent_parser(match(test_value_fn))
+  function is(test_value_fn, description) {
+    return as_fluent_parser(match(test_value_fn, description),
+      { kind: 'is', expected: description })
   }
 
   // --------------------------------------------------------------------------
@@ -330,7 +580,8 @@ define([], function () {
   // want to do. We will definitely be doing plenty of that in our tests. So
   // let's make a dedicated function to specify these.
   function literal(expected) {
-    return is(actual => actual == expected)
+    return as_fluent_parser(match(actual => actual == expected, describe(expected)),
+      { kind: 'literal', value: expected, expected: describe(expected) })
   }
 
   // --------------------------------------------------------------------------
@@ -349,8 +600,8 @@ define([], function () {
   // ### Parsing anything and nothing
   //
   // As simple as matching a single character is matching anything and nothing.
-  let any  = is(x => true )
-  let none = is(x => false)
+  let any  = as_fluent_parser(match(x => true ), { kind: 'any' })
+  let none = as_fluent_parser(match(x => false), { kind: 'none' })
 
   // --------------------------------------------------------------------------
   // **Test**
@@ -389,7 +640,7 @@ define([], function () {
       }
     
       return [stream, values]
-    })
+    }, { kind: 'sequence', children: parsers })
   }
 
   // --------------------------------------------------------------------------
@@ -414,16 +665,24 @@ define([], function () {
   // equivalent of the [Kleene star](http://en.wikipedia.org/wiki/Kleene_star)
   // operator.) In any case, we collect all values returned by the parser into
   // a list again, and return that as well.
+  //
+  // (Whenever we give up on a parser, as we do here on the last one, we also
+  // forget any errors it [recovered from](#recovering-from-errors). Those
+  // were never part of the parse.)
   function many(parser) {
     return as_fluent_parser(stream => {
       let values = []
       while (true) {
+        let errors = stream.source.errors.length
         let [next, value] = parser(stream)
-        if (next == NO_MATCH) return [stream, values]
+        if (next == NO_MATCH) {
+          stream.source.errors.length = errors
+          return [stream, values]
+        }
         if (value !== NO_VALUE) values.push(value)
         stream = next
       }
-    })
+    }, { kind: 'many', children: [parser] })
   }
   
   // --------------------------------------------------------------------------
@@ -454,13 +713,15 @@ define([], function () {
   function choice() {
     let parsers = Array.prototype.slice.call(arguments, 0)
     return as_fluent_parser(stream => {
+      let errors = stream.source.errors.length
       for (let parser of parsers) {
         let [next, value] = parser(stream)
         if (next != NO_MATCH) return [next, value]
+        stream.source.errors.length = errors
       }
 
       return [NO_MATCH, NO_VALUE]
-    })
+    }, { kind: 'choice', children: parsers })
   }
 
   // --------------------------------------------------------------------------
@@ -481,10 +742,13 @@ define([], function () {
   // position we started.
   function optional(parser) {
     return as_fluent_parser(stream => {
+      let errors = stream.source.errors.length
       let [next, value] = parser(stream)
-      if (next == NO_MATCH) return [stream, NO_VALUE]
-      else return [next, value]
-    })
+      if (next != NO_MATCH) return [next, value]
+
+      stream.source.errors.length = errors
+      return [stream, NO_VALUE]
+    }, { kind: 'optional', children: [parser] })
   }
 
   // --------------------------------------------------------------------------
@@ -505,9 +769,10 @@ define([], function () {
   let at_end = as_fluent_parser(stream => {
     if (stream.head() == null)
       return [stream, NO_VALUE]
-    else
-      return [NO_MATCH, NO_VALUE]
-  })
+
+    stream.expected(describe(null))
+    return [NO_MATCH, NO_VALUE]
+  }, { kind: 'at_end' })
   
   // --------------------------------------------------------------------------
   // **Test**
@@ -528,14 +793,29 @@ define([], function () {
   //
   // There are times when you don't want to match a specific thing. For that we
   // can define a parser combinator which negates another one.
+  //
+  // Whatever the negated parser expected is exactly what we don't want to
+  // see, so it has no place in [failures](#reporting-failures). That holds
+  // even if it throws, so we put things back either way.
   function not(parser) {
     return as_fluent_parser(stream => {
-      let [next, value] = parser(stream)
+      let failure_so_far = stream.source.failure
+      let errors = stream.source.errors.length
+      stream.source.failure = { at: null, expected: [] }
+
+      let next
+      try {
+        ;[next] = parser(stream)
+      } finally {
+        stream.source.failure = failure_so_far
+        stream.source.errors.length = errors
+      }
+
       // This parser matches when the given one doesn't. Note though, that we
       // do not consume anything in the stream, returning it as it was.
       if (next == NO_MATCH) return [stream, NO_VALUE]
       else return [NO_MATCH, NO_VALUE]
-    })
+    }, { kind: 'not', children: [parser] })
   }
 
   // --------------------------------------------------------------------------
@@ -547,6 +827,15 @@ define([], function () {
    
     assert_that('aardvark').is_a_valid(no_e).with_value(equal_to('aardvark'.split('')))
     assert_that('zebra').is_not_a_valid(no_e)
+
+    let input = new Stream(from_string('a'))
+    sequence(not(letter_e), literal('x'))(input)
+    assert(input.failure().message == "line 1, col 1: expected 'x'")
+
+    // A negated parser which throws doesn't leave its expectations behind.
+    let broken = stream => { stream.expected('nothing'); throw new Error('broken') }
+    assert.throws(() => not(broken)(input), /broken/)
+    assert(input.failure().message == "line 1, col 1: expected 'x'")
   }
   
   
@@ -570,13 +859,19 @@ define([], function () {
   // The solution is to allow declaring a parser before fully defining it. That
   // is what the following function allows. It will return a parser whose
   // internals can be defined in a later step.
+  //
+  // (Rules which reference themselves may do so before having consumed any
+  // input. That needs some extra care, which is what `growing` is about. We'll
+  // get to that when we talk about [left recursion](#left-recursion).)
   function to_be_defined() {
     let parser = none
     
-    let fluent = as_fluent_parser(stream => parser(stream))
+    let fluent = as_fluent_parser(growing(stream => parser(stream)),
+      { kind: 'rule', children: [parser] })
     
     fluent.define = function(actual_parser) {
       parser = actual_parser
+      fluent.description.children = [actual_parser]
       return fluent
     }
     
@@ -606,6 +901,594 @@ define([], function () {
   }
   // --------------------------------------------------------------------------
 
+  // ### Understanding failures
+  //
+  // Now that we can build bigger grammars, let's see what the failure
+  // reporting we set up earlier gives us. After a parse we can ask the stream
+  // we started from what went wrong.
+  //
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let digit = is(x => x >= '0' && x <= '9').named('digit')
+    let am_pm = choice(
+      sequence(literal('A'), literal('M')).named("'AM'"),
+      sequence(literal('P'), literal('M')).named("'PM'")
+    )
+    let time = sequence(digit, optional(digit), literal(' '), am_pm)
+
+    // The furthest we get here is the third line, where neither 'AM' nor 'PM'
+    // could be matched.
+    let input = new Stream(from_string('12 AM\n1 PM\n11 XM'))
+    let lines = sequence(time, many(sequence(literal('\n'), time)), at_end)
+    let [next, value] = lines(input)
+    assert(next == NO_MATCH)
+
+    let failure = input.failure()
+    assert(failure.offset == 14 && failure.line == 3 && failure.column == 4)
+    equal_to(["'AM'", "'PM'"])(failure.expected)
+    assert(failure.found == 'X')
+    assert(failure.message == "line 3, col 4: expected one of 'AM', 'PM'")
+
+    // Names only replace what was expected if the named parser didn't get any
+    // further than where it started. Once we're into the 'P' of 'PM', it is
+    // the 'M' we are after.
+    input = new Stream(from_string('1 PX'))
+    time(input)
+    assert(input.failure().message == "line 1, col 4: expected 'M'")
+
+    // Expectations from alternatives which failed at the same position get
+    // combined. Those which failed earlier are forgotten.
+    input = new Stream(from_string('x'))
+    choice(digit, literal('('), sequence(literal('x'), literal('y')))(input)
+    assert(input.failure().message == "line 1, col 2: expected 'y'")
+
+    input = new Stream(from_string('z'))
+    choice(digit, literal('('), literal('x'))(input)
+    assert(input.failure().message == "line 1, col 1: expected one of digit, '(', 'x'")
+
+    // Parsers which don't describe themselves still point us to the right
+    // place.
+    input = new Stream(from_string('ab'))
+    sequence(any, is(x => x == 'a'))(input)
+    assert(input.failure().message == "line 1, col 2: unexpected 'b'")
+
+    // And when everything matched but some input was left over, that is what
+    // gets reported by `assert_that`.
+    assert.throws(
+      () => assert_that('aab').is_a_valid(many(literal('a'))),
+      error => error.message == "line 1, col 3: expected one of 'a', end of input"
+    )
+
+    // For streams which are not text we report the offset instead.
+    input = new Stream(from_list([1, 2, 3]))
+    sequence(literal(1), literal(3))(input)
+    assert(input.failure().message == 'offset 1: expected 3')
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Remembering results
+  //
+  // Our parsers backtrack. When one alternative of a `choice` fails, the next
+  // one gets to try its luck from the same position. That is what makes them
+  // so easy to write, but it also means the same parser may get run at the
+  // same position over and over again. When alternatives share a common
+  // prefix, and that prefix is itself made up of alternatives sharing a
+  // common prefix, and so on, the amount of work grows exponentially.
+  //
+  // There is an easy way out though. Parsers are deterministic, and the
+  // stream at any given position never changes. So parsing the same parser at
+  // the same position will always give the same result. Which means we can
+  // remember it. This is what is known as [packrat parsing](https://bford.info/packrat/).
+  //
+  // Every stream gets a memo in which we store the results of the parsers
+  // which asked for it, keyed by those parsers. We only create it when needed,
+  // as most positions will never be asked about.
+  //
+  // Remembering everything takes memory though, so this is something you opt
+  // into per parser. Typically you'll want it on the rules you define with
+  // `to_be_defined`, e.g. ``expr.define(memoized(choice(...)))``.
+  //
+  // (Note that a remembered failure does not repeat the expectations it
+  // reported the first time around. Those have been recorded already. A
+  // remembered result does repeat the errors it [recovered
+  // from](#recovering-from-errors) though, as those may have been forgotten
+  // along with some alternative we gave up on.)
+  //
+  // There is one case where we may not remember a result, and that is when it
+  // depended on a left recursive rule which was still working its way towards
+  // its final answer. We'll see how that works in the next section, but it
+  // explains why we keep track of which parsers are active at a position.
+  function memoized(parser) {
+    let remembering_parser = stream => {
+      if (stream.memo !== undefined && stream.memo.has(remembering_parser))
+        return recalled(stream, remembering_parser)
+
+      let activation = activate(stream, remembering_parser)
+      let looked_before = start_looking(stream)
+      let errors = stream.source.errors.length
+      let result, reach
+      try { result = parser(stream) }
+      finally {
+        deactivate(stream, activation)
+        reach = stop_looking(stream, looked_before)
+      }
+
+      if (!activation.involved)
+        remember(stream, remembering_parser, result, reach, stream.source.errors.slice(errors))
+      return result
+    }
+
+    return as_fluent_parser(remembering_parser, { kind: 'memoized', children: [parser] })
+  }
+
+  // These keep track of what is active at a given stream position.
+  function activate(stream, parser) {
+    if (stream.active === undefined) stream.active = []
+    let activation = {
+      parser: parser,
+      involved: false,
+      left_recursive: false,
+      seed: [NO_MATCH, NO_VALUE]
+    }
+    stream.active.push(activation)
+    return activation
+  }
+
+  function deactivate(stream, activation) {
+    stream.active.splice(stream.active.lastIndexOf(activation), 1)
+  }
+
+  // And this stores a result in the memo of a stream. Next to the result we
+  // keep how far the parser looked to get it, which is what tells us whether
+  // we can still use it after [editing the text](#editing-text). And we keep
+  // the errors it recovered from, if there were any.
+  function remember(stream, parser, result, reach, errors) {
+    if (stream.memo === undefined) stream.memo = new Map()
+    if (stream.reaches === undefined) stream.reaches = new Map()
+    stream.memo.set(parser, result)
+    stream.reaches.set(parser, reach)
+
+    if (result[0] == NO_MATCH || errors === undefined || errors.length == 0) return
+    if (stream.recovered === undefined) stream.recovered = new Map()
+    stream.recovered.set(parser, errors)
+  }
+
+  // Getting a result back counts as having looked as far as it did, and as
+  // having recovered from the same errors.
+  function recalled(stream, parser) {
+    looked_up_to(stream, stream.reaches.get(parser))
+    let errors = stream.recovered !== undefined ? stream.recovered.get(parser) : undefined
+    if (errors !== undefined)
+      for (let error of errors)
+        if (stream.source.errors.indexOf(error) < 0) stream.source.errors.push(error)
+    return stream.memo.get(parser)
+  }
+
+  function looked_up_to(stream, offset) {
+    if (stream.source.looked_at < offset) stream.source.looked_at = offset
+  }
+
+  // To find out how far a parser looks, we start counting afresh from where
+  // it starts. Once it's done, whoever was counting before us gets to count
+  // what it looked at as well.
+  function start_looking(stream) {
+    let before = stream.source.looked_at
+    stream.source.looked_at = stream.offset
+    return before
+  }
+
+  function stop_looking(stream, before) {
+    let reach = stream.source.looked_at
+    if (reach < before) stream.source.looked_at = before
+    return reach
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    // We'll count how often the parser gets run.
+    let runs = 0
+    let a = is(x => { runs++; return x == 'a' })
+    let remembered_a = memoized(a)
+
+    // Both alternatives start with an 'a'. Without memoization the second
+    // alternative parses it again.
+    runs = 0
+    assert_that('ab').is_a_valid(choice(sequence(a, literal('c')), sequence(a, literal('b'))))
+    assert(runs == 2)
+
+    // With memoization it does not.
+    runs = 0
+    assert_that('ab')
+      .is_a_valid(choice(
+        sequence(remembered_a, literal('c')),
+        sequence(remembered_a, literal('b'))))
+      .with_value(equal_to(['a', 'b']))
+    assert(runs == 1)
+
+    // Failures are remembered too.
+    runs = 0
+    assert_that('xb')
+      .is_not_a_valid(choice(
+        sequence(remembered_a, literal('c')),
+        sequence(remembered_a, literal('b'))))
+    assert(runs == 1)
+
+    // And memoized parsers are still fluent.
+    assert_that('a').is_a_valid(memoized(a).as(constant_value('A'))).with_value(equal_to('A'))
+
+    // Recursive rules work as you'd expect.
+    let parens = to_be_defined()
+    parens.define(memoized(sequence(literal('('), many(parens), literal(')'))))
+    assert_that('(()(()))').is_a_valid(parens)
+    assert_that('(()(())' ).is_not_a_valid(parens)
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Left recursion
+  //
+  // Here's a grammar you might write for a sum of numbers:
+  //
+  // ```sum = choice( sequence(sum, '+', number), number )```
+  //
+  // It reads nicely, and it even gets the associativity right: `1+2+3` is
+  // `(1+2)+3`. But it doesn't work. To parse a `sum` we first try to parse a
+  // `sum`, at the very same position, which first tries to parse a `sum`...
+  // and so on, forever. This is called left recursion, and it is the bane of
+  // top-down parsers.
+  //
+  // The usual advice is to rewrite the grammar so that it doesn't recurse on
+  // the left. But we can do better, following [Warth et al.](https://web.cs.ucla.edu/~todd/research/pepm08.pdf)
+  // The idea is that when a rule calls itself at the position it started, it
+  // simply fails. Which means only the other alternatives can match. If one
+  // does, we have a first result for our rule: a seed. We then parse the rule
+  // again, but this time, when it calls itself, we hand it that seed. If that
+  // gets us further into the stream we have a new, bigger seed, and we try
+  // again. Once we no longer get any further, the last seed is our answer.
+  //
+  // So for `1+2+3` we first find `1`. Trying again, the recursive call gives
+  // us that `1`, so we match `1+2`. Once more, and we get `(1+2)+3`. After
+  // that, there is nothing more to grow into.
+  //
+  // All rules created by `to_be_defined` go through the following. Most rules
+  // never call themselves without having moved though, and they shouldn't
+  // have to pay for what it takes to grow seeds. So a rule starts out simply
+  // keeping track of the positions it is being parsed at. Only when it finds
+  // itself at one of those again do we know it is left recursive. It then
+  // fails that inner call, and every parser which became active at that
+  // position since then is flagged as being involved. Their results depend
+  // on a seed which is still growing, so they may not be remembered. What
+  // the outer call comes up with is the first seed, which we go on to grow.
+  // From then on the rule always goes about it that way.
+  function growing(parser) {
+    let left_recursive = false
+    let entered = []
+
+    let rule = stream => {
+      for (let entry of entered) {
+        if (entry.stream !== stream) continue
+        left_recursive = entry.recursed = true
+        involve(stream.active, entry.active)
+        return [NO_MATCH, NO_VALUE]
+      }
+
+      if (left_recursive) return growing_parser(stream)
+
+      let entry = {
+        stream: stream,
+        active: stream.active === undefined ? 0 : stream.active.length,
+        recursed: false
+      }
+      entered.push(entry)
+      let result
+      try { result = parser(stream) }
+      finally { entered.pop() }
+
+      return entry.recursed ? growing_parser(stream, result) : result
+    }
+
+    // Growing a seed means tracking which rules are active at which
+    // position, so we can tell when one calls itself without having moved.
+    // When that happens, the rule is flagged as left recursive, and again
+    // every parser which became active at that position since then is
+    // flagged as being involved.
+    //
+    // Once a left recursive rule is done growing, we remember its answer.
+    // There is no point in growing it all over again. (Except for the one we
+    // grew from a seed we already had, as we don't know how far we looked to
+    // get that seed.)
+    let growing_parser = (stream, seed) => {
+      if (seed === undefined && stream.memo !== undefined && stream.memo.has(growing_parser))
+        return recalled(stream, growing_parser)
+
+      let active = stream.active || []
+      for (let i = active.length - 1; i >= 0 && seed === undefined; i--) {
+        if (active[i].parser !== growing_parser) continue
+
+        active[i].left_recursive = true
+        involve(active, i + 1)
+        return active[i].seed
+      }
+
+      let activation = activate(stream, growing_parser)
+      activation.left_recursive = seed !== undefined
+      let looked_before = start_looking(stream)
+      let errors = stream.source.errors.length
+      let result, reach
+      try {
+        result = seed !== undefined ? seed : parser(stream)
+
+        while (activation.left_recursive && result[0] != NO_MATCH) {
+          activation.seed = result
+          let errors_so_far = stream.source.errors.length
+          let grown = parser(stream)
+          if (grown[0] == NO_MATCH || grown[0].offset <= result[0].offset) {
+            stream.source.errors.length = errors_so_far
+            break
+          }
+          result = grown
+        }
+
+      } finally {
+        deactivate(stream, activation)
+        reach = stop_looking(stream, looked_before)
+      }
+
+      if (activation.left_recursive && !activation.involved && seed === undefined)
+        remember(stream, growing_parser, result, reach, stream.source.errors.slice(errors))
+      return result
+    }
+
+    return rule
+  }
+
+  function involve(active, from) {
+    if (active === undefined) return
+    for (let i = from; i < active.length; i++) active[i].involved = true
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let number = is(x => x >= '0' && x <= '9').as(x => parseInt(x))
+
+    // Left recursion makes for left associativity.
+    let difference = to_be_defined()
+    difference.define(choice(
+      sequence(difference, literal('-'), number).as(([a, op, b]) => a - b),
+      number
+    ))
+
+    assert_that('7'    ).is_a_valid(difference).with_value(equal_to(7))
+    assert_that('7-2'  ).is_a_valid(difference).with_value(equal_to(5))
+    assert_that('7-2-1').is_a_valid(difference).with_value(equal_to(4))
+    assert_that('7-'   ).is_not_a_valid(difference)
+    assert_that('-2'   ).is_not_a_valid(difference)
+
+    // Left recursive rules can build on one another, as in the classic
+    // arithmetic grammar.
+    let expr = to_be_defined()
+    let term = to_be_defined()
+    let factor = to_be_defined()
+    expr.define(choice(
+      sequence(expr, literal('+'), term).as(([a, op, b]) => a + b),
+      sequence(expr, literal('-'), term).as(([a, op, b]) => a - b),
+      term
+    ))
+    term.define(choice(
+      sequence(term, literal('*'), factor).as(([a, op, b]) => a * b),
+      sequence(term, literal('/'), factor).as(([a, op, b]) => a / b),
+      factor
+    ))
+    factor.define(choice(
+      sequence(literal('('), expr, literal(')')).as(([open, e, close]) => e),
+      number
+    ))
+
+    assert_that('1+2*3'    ).is_a_valid(expr).with_value(equal_to(7))
+    assert_that('(1+2)*3'  ).is_a_valid(expr).with_value(equal_to(9))
+    assert_that('8/4/2'    ).is_a_valid(expr).with_value(equal_to(1))
+    assert_that('9-3-2*2+1').is_a_valid(expr).with_value(equal_to(3))
+    assert_that('(1+2'     ).is_not_a_valid(expr)
+
+    // The recursion may also be indirect. Here a `call` starts with a
+    // `member`, and a `member` starts with a `call`, as in `f.a().b()`.
+    let identifier = is(x => x >= 'a' && x <= 'z')
+    let member = to_be_defined()
+    let call = to_be_defined()
+    call.define(choice(
+      sequence(member, literal('('), literal(')')).as(([m]) => ({ call: m })),
+      identifier
+    ))
+    member.define(choice(
+      sequence(call, literal('.'), identifier).as(([c, dot, i]) => ({ of: c, get: i })),
+      call
+    ))
+
+    assert_that('f.a().b()').is_a_valid(member).with_value(m => {
+      assert(m.call.get == 'b')
+      assert(m.call.of.call.get == 'a')
+      assert(m.call.of.call.of == 'f')
+    })
+    assert_that('f().a').is_a_valid(member).with_value(m => {
+      assert(m.get == 'a' && m.of.call == 'f')
+    })
+    // Only calls can be followed by a '.', so this is not a member.
+    assert_that('f.a.b').is_not_a_valid(member)
+    assert_that('f.()' ).is_not_a_valid(member)
+
+    // And it all works with memoization as well.
+    let runs = 0
+    let counted_number = is(x => { runs++; return x >= '0' && x <= '9' })
+      .as(x => parseInt(x))
+    let sum = to_be_defined()
+    sum.define(memoized(choice(
+      sequence(sum, literal('+'), counted_number).as(([a, op, b]) => a + b),
+      counted_number
+    )))
+
+    assert_that('1+2+3+4').is_a_valid(sum).with_value(equal_to(10))
+    // Each number only got looked at once, apart from the one we tried when
+    // the sum was done growing.
+    assert(runs == 5)
+
+    // Rules which don't recurse on the left never get to grow a seed, so they
+    // leave no trace of that.
+    let nested = to_be_defined()
+    nested.define(sequence(literal('('), many(nested), literal(')')))
+    let input = new Stream(from_string('(()(()))'))
+    assert(nested(input)[0] != NO_MATCH && input.active === undefined)
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Editing text
+  //
+  // Think of an editor which parses what you type, as you type it. Parsing
+  // the whole text again after every keystroke is a lot of work, most of
+  // which we've done before: a single keystroke leaves nearly all of the text
+  // as it was. Every result we remembered for those parts would still hold,
+  // if only we knew which parts they were.
+  //
+  // Which is why we keep track of how far a parser looked when we remember
+  // its result (its "reach"). Its result can only depend on the text between
+  // where it started and that reach. So when an edit leaves that text alone,
+  // the result still holds. Results from before the edit stay where they
+  // are. Results from after it move along by however much the edit made the
+  // text grow or shrink. The others we drop. This is how [incremental packrat
+  // parsing](https://ohmjs.org/pubs/sle2017/incremental-packrat-parsing.pdf)
+  // works.
+  //
+  // An edit replaces the `removed` characters at `offset` with the `inserted`
+  // text. Given the stream we parsed last time, this gives us a stream over
+  // the new text with all results which still hold already in place. We then
+  // parse it as usual, and only the results we dropped get parsed again.
+  //
+  // Some things to keep in mind:
+  //
+  // - Only results which were remembered can be reused, so `memoized` the
+  //   rules which are worth it. For most grammars that's anything which may
+  //   span a line or more, such as statements and declarations.
+  // - Values get reused as they are. A value which holds a position (say,
+  //   from `located`) still holds the position it had in the old text.
+  // - The errors of a stream are those found while parsing it. Errors from
+  //   reused results are not found again.
+  Stream.prototype.edited = function(edit) {
+    let text = this.source.text
+    if (text === undefined) throw new Error('Only streams of text can be edited.')
+
+    let start = edit.offset
+    let end = edit.offset + (edit.removed || 0)
+    let inserted = edit.inserted || ''
+    let shift = inserted.length - (end - start)
+
+    let edited = new Stream(from_string(text.slice(0, start) + inserted + text.slice(end)),
+      undefined, this.source.origin)
+
+    // We visit the new positions in order, so we collect them as we go.
+    let nodes = [edited]
+    let at = (offset, state) => {
+      while (nodes.length <= offset) nodes.push(nodes[nodes.length - 1].tail())
+      return nodes[offset].with_state(state)
+    }
+
+    let carry_over = old => {
+      if (old.memo === undefined) return
+      for (let [parser, result] of old.memo) {
+        let reach = old.reaches.get(parser)
+        let moved = reach <= start ? 0 : old.offset >= end ? shift : undefined
+        if (moved === undefined) continue
+
+        let [next, value] = result
+        remember(at(old.offset + moved, old.state), parser,
+          next == NO_MATCH ? result : [at(next.offset + moved, next.state), value],
+          reach + moved)
+      }
+    }
+
+    // The old stream only goes as far as the last parse got, and streams with
+    // state have memos of their own.
+    for (let old = this.plain || this; old != null; old = old.lazy_tail) {
+      carry_over(old)
+      if (old.states !== undefined) old.states.forEach(carry_over)
+    }
+
+    return edited
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    // We'll count how often a statement gets parsed.
+    let runs = 0
+    let counted = parser => stream => { runs++; return parser(stream) }
+
+    let letter = is(x => x >= 'a' && x <= 'z')
+    let digit = is(x => x >= '0' && x <= '9')
+    let name = sequence(letter, many(letter)).as(([first, rest]) => first + rest.join(''))
+    let number = sequence(digit, many(digit)).as(([first, rest]) => parseInt(first + rest.join('')))
+    let symbols = string => sequence(...string.split('').map(literal)).as(ignored_value)
+
+    let statement = memoized(counted(sequence(name, symbols(' = '), number, symbols(';\n'))))
+    let program = sequence(many(statement), at_end).as(first_value)
+    let parse = input => {
+      let [rest, value] = program(input)
+      assert(rest != NO_MATCH, input.failure().message)
+      return value
+    }
+
+    let lines = Array.from({ length: 100 }, (_, i) => 'x = ' + i + ';\n').join('')
+    let input = new Stream(from_string(lines))
+    runs = 0
+    parse(input)
+    // One run per line, and one more at the end.
+    assert(runs == 101)
+
+    // Changing a number only parses its own line again.
+    let changed = input.edited({ offset: lines.indexOf('50;'), removed: 2, inserted: '5000' })
+    runs = 0
+    let value = parse(changed)
+    assert(runs == 1)
+    assert.deepStrictEqual(value[50], ['x', 5000])
+    assert.deepStrictEqual(value, parse(new Stream(from_string(changed.source.text))))
+
+    // Lines after an edit move along with it.
+    let inserted = changed.edited({ offset: 0, inserted: 'y = 1;\n' })
+    runs = 0
+    value = parse(inserted)
+    assert(runs == 1 && value.length == 101)
+    assert.deepStrictEqual(value[51], ['x', 5000])
+
+    let removed = inserted.edited({ offset: 0, removed: 'y = 1;\nx = 0;\n'.length })
+    runs = 0
+    value = parse(removed)
+    assert(runs == 0 && value.length == 99)
+    assert.deepStrictEqual(value[0], ['x', 1])
+    // Positions are those of the new text.
+    let [rest] = sequence(statement, statement, literal('?'))(removed)
+    assert(rest == NO_MATCH && removed.failure().line == 3)
+
+    // A parser which looked past the end of what it matched gets parsed
+    // again when what it looked at changes. Here a word looks at the space
+    // after it, to know it's done.
+    let word = memoized(counted(name))
+    let words = sequence(many(sequence(word, optional(literal(' '))).as(first_value)), at_end)
+      .as(first_value)
+    input = new Stream(from_string('ab cd'))
+    assert.deepStrictEqual(words(input)[1], ['ab', 'cd'])
+    let joined = input.edited({ offset: 2, removed: 1 })
+    assert.deepStrictEqual(words(joined)[1], ['abcd'])
+
+    // Streams which aren't text can't be edited.
+    assert.throws(() => new Stream(from_list([1, 2])).edited({ offset: 0, removed: 1 }),
+      /Only streams of text can be edited\./)
+  }
+  // --------------------------------------------------------------------------
+
   // ### Skipping parts of the stream while matching
   //
   // It might be an odd idea to want a parser to ignore parts of some input,
@@ -632,7 +1515,7 @@ define([], function () {
       }
       
       return [stream, skipped.length > 0 ? skipped : NO_VALUE]
-    })
+    }, { kind: 'skip_to', children: [parser] })
   }
   
   // --------------------------------------------------------------------------
@@ -652,48 +1535,358 @@ define([], function () {
   }
   // --------------------------------------------------------------------------
   
-  // ### Out-of-sequence parsing
+  // ### Committing to an alternative
   //
-  // Up to this point we have tried to parse everything in one go; starting at
-  // the beginning and moving step by step towards the end of the stream. 
-  // Sometimes, however, it can be useful to return to return to something in a
-  // later step.
+  // When an alternative of a `choice` fails, we try the next one. That's what
+  // makes parser combinators so easy to work with, but it has its downsides.
+  // Say a statement is either an `if`, a `while`, or an assignment. Once
+  // we've seen the `if` there's no point in trying the others: it can only
+  // be an `if`. If it's a broken one, then trying the others wastes time. And
+  // worse, the failure we end up reporting may well be about assignments.
   //
-  // The example here will try to parse something enclosed between two markers,
-  // but it will __first__ look for the markers and __only then__ try to match
-  // what was found in between.
-  // 
-  // Why would you want to do such a thing. Well, scanning for the end marker
-  // first may simplify the parser for the intermediate part. Say, for example,
-  // that the end marker is two consecutive square brackets (i.e. ']]'), but
-  // that single square brackets may still appear before that. Setting that up
-  // in-sequence would require catching these cases, and maybe using some form
-  // of negation to make sure we don't accidentally consume the end marker in
-  // error. By looking for the end marker first we can ignore that complexity
-  // by making sure that case won't even show up.
-  function enclosed(opening, inner, closing) {
-    // We will be using skipping to fast-forward to the closing marker.
-    let skip_to_closing = skip_to(closing)
-    
+  // So we let grammars commit. `commit` wraps a parser, which then either
+  // matches, or fails for good: no more alternatives, no more optional parts.
+  // We place it right after whatever it is that tells us we're on the right
+  // track, as in ``sequence(keyword('if'), commit(rest_of_if))``.
+  //
+  // Failing for good means throwing an error, which tells us what went wrong,
+  // and where. It has everything `failure()` would tell us as its `failure`.
+  // Nothing stops it, other than [recovering](#recovering-from-errors).
+  //
+  // That failure is the committed parser's own. Some other alternative may
+  // well have got further before we got here, but we're not parsing that
+  // anymore. So we start the parser off with a clean slate, and only add
+  // what it expected to everything else afterwards.
+  function commit(parser) {
     return as_fluent_parser(stream => {
-      // Start by matching the opening.
-      let [stream_after_opening, value_from_opening] = opening(stream)
-      if (stream_after_opening == NO_MATCH) return [NO_MATCH, NO_VALUE]
+      let source = stream.source
+      let failure_so_far = source.failure
+      source.failure = { at: null, expected: [] }
 
-      // Then skip to the end.
-      let [stream_up_to_closing, skipped] = skip_to_closing(stream_after_opening)
-      if (stream_up_to_closing == NO_MATCH) return [NO_MATCH, NO_VALUE]
+      let next, value, failure
+      try {
+        ;[next, value] = parser(stream)
+        if (next == NO_MATCH) failure = stream.failure()
+      } finally {
+        source.failure = furthest_failure(failure_so_far, source.failure)
+      }
+
+      if (next != NO_MATCH) return [next, value]
+      throw Object.assign(new Error(failure.message), { failure: failure, committed: true })
+    }, { kind: 'commit', children: [parser] })
+  }
+
+  // This runs a parser, but turns failing for good back into simply failing.
+  // We do pass on why it failed, as that's something the stream's failure
+  // can no longer tell us.
+  function attempted(parser, stream) {
+    try {
+      return parser(stream)
+    } catch (e) {
+      if (e.committed !== true) throw e
+      return [NO_MATCH, NO_VALUE, e.failure]
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let name = pattern(/[a-z]+/).named('name')
+    let word = w => text(w).as(ignored_value)
+
+    // An `if`, where `rest` decides what we do with everything after the
+    // keyword: leave it as it is, or commit to it.
+    let conditional = rest => sequence(
+      word('if '),
+      rest(sequence(name, word(' then '), name,
+        optional(sequence(word(' else '), rest(name)).as(first_value))))
+    ).as(([[condition, then, otherwise]]) => ({ if: condition, then: then, else: otherwise }))
+
+    let assignments = 0
+    let assignment = sequence(name, word(' = '), name).as(([target, source]) => {
+      assignments++
+      return { set: target, to: source }
+    })
+
+    // Without committing, a broken `if` gets tried as an assignment as well.
+    // Which in this case works, though that's hardly what was meant.
+    let statement = choice(conditional(parser => parser), assignment)
+    assert_that('if a then b').is_a_valid(statement).with_value(value =>
+      assert.deepStrictEqual(value, { if: 'a', then: 'b', else: undefined }))
+    assert_that('if = b').is_a_valid(statement).with_value(value =>
+      assert.deepStrictEqual(value, { set: 'if', to: 'b' }))
+    assignments = 0
+    assert(statement(new Stream(from_string('if a than b')))[0] == NO_MATCH)
+    assert(assignments == 0)
+
+    // Committed, once we've seen the `if` we know what we're parsing. Failing
+    // after that is an error, and we don't try anything else.
+    statement = choice(conditional(commit), assignment)
+    assert_that('if a then b else c').is_a_valid(statement).with_value(value =>
+      assert.deepStrictEqual(value, { if: 'a', then: 'b', else: 'c' }))
+    assert_that('x = y').is_a_valid(statement)
+    assert.throws(() => statement(new Stream(from_string('if = b'))),
+      error => error.message == 'line 1, col 4: expected name' && error.failure.column == 4)
+    assignments = 0
+    assert.throws(() => statement(new Stream(from_string('if a than b'))),
+      /^Error: line 1, col 5: expected ' then '$/)
+    assert(assignments == 0)
+
+    // Optional parts can't hide a failure either, once we're committed to
+    // them. Which is the difference between a missing `else` and a broken one.
+    assert_that('if a then b').is_a_valid(statement)
+    assert.throws(() => statement(new Stream(from_string('if a then b else 1'))),
+      /^Error: line 1, col 18: expected name$/)
+
+    // Anything before the commit is still free to fail.
+    assert_that('iff = a').is_a_valid(statement)
+
+    // The error is about what we committed to, even when an alternative we
+    // gave up on got further.
+    let further = choice(sequence(text('abc'), text('z')), sequence(text('a'), commit(text('q'))))
+    assert.throws(() => further(new Stream(from_string('abcd'))),
+      /^Error: line 1, col 2: expected 'q'$/)
+    let [, recovered] = recover(further, literal('d'))(new Stream(from_string('abcd')))
+    assert(recovered.message == "line 1, col 2: expected 'q'")
+
+    // Other than at the end of the input, where there's nothing to skip.
+    let unfinished = sequence(text('a'), recover(commit(text('b')), literal(';')))
+    assert.throws(() => unfinished(new Stream(from_string('a'))),
+      /^Error: line 1, col 2: expected 'b'$/)
+    ;[, recovered] = recover(commit(sequence(text('a'), text('b'))), literal(';'))(
+      new Stream(from_string('a')))
+    assert(recovered.message == "line 1, col 2: expected 'b'")
+
+    // And recovering catches what would otherwise end the parse.
+    let program = many(recover(sequence(statement, word(';')).as(first_value), literal(';')))
+    let [next, statements] = program(new Stream(from_string('x = y;if a than b;if c then d;')))
+    assert(next.head() == null && statements.length == 3)
+    assert(statements[1].type == 'error' && statements[1].message == "line 1, col 11: expected ' then '")
+    assert.deepStrictEqual(statements[2], { if: 'c', then: 'd', else: undefined })
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Recovering from errors
+  //
+  // So far a parse either works or it doesn't. For a compiler that may be
+  // fine: report the first error, and let the user fix it. But an editor
+  // wants to show all errors in a file, and still make sense of everything
+  // around them.
+  //
+  // Skipping gives us a way of doing that. When something fails to parse we
+  // note why, skip ahead to some point from which we can sensibly continue
+  // (the end of the statement, say, or of the line), and put an error node in
+  // the place of what we failed to parse. The parser calling us is none the
+  // wiser, and happily moves on.
+  //
+  // The error node holds everything `failure()` would have told us about this
+  // particular failure, as well as the values we skipped over. The sync point
+  // itself (the semicolon, the newline, ...) gets consumed too, but does not
+  // end up in the node. If no sync point is found we skip to the end.
+  //
+  // Note that there has to be something to skip. At the end of the input we
+  // fail as usual, or a `many` of recovering parsers would never stop.
+  //
+  // Parsers which [committed](#committing-to-an-alternative) and then failed
+  // get recovered from like any other. This is the one place where failing
+  // for good stops. Except at the end of the input: there we can't recover,
+  // and failing as usual would lose the error, so it goes on failing for
+  // good.
+  function recover(parser, sync) {
+    return as_fluent_parser(stream => {
+      let source = stream.source
+      let failure_so_far = source.failure
+      source.failure = { at: null, expected: [] }
+
+      let next, value, committed, error
+      try {
+        ;[next, value, committed] = attempted(parser, stream)
+        if (next == NO_MATCH) error = committed || stream.failure()
+      } finally {
+        source.failure = furthest_failure(failure_so_far, source.failure)
+      }
+
+      if (next != NO_MATCH) return [next, value]
+      if (stream.head() == null && committed)
+        throw Object.assign(new Error(committed.message), { failure: committed, committed: true })
+      if (stream.head() == null) return [NO_MATCH, NO_VALUE]
+
+      // We don't want the skipping to show up in failures.
+      failure_so_far = source.failure
+      let skipped
+      try {
+        let at_sync
+        ;[at_sync, skipped] = skip_to(choice(sync, at_end))(stream)
+        let [after_sync] = sync(at_sync)
+        stream = after_sync != NO_MATCH ? after_sync : at_sync
+      } finally {
+        source.failure = failure_so_far
+      }
+
+      let node = {
+        type: 'error',
+        message: error.message,
+        offset: error.offset,
+        line: error.line,
+        column: error.column,
+        expected: error.expected,
+        found: error.found,
+        skipped: skipped || []
+      }
+
+      // We also keep a list of all errors with the stream. Any alternative
+      // we later give up on takes its errors with it, so the list only holds
+      // errors which are part of the parse. We may still go over the same
+      // error more than once (looking ahead, say), but we only list it the
+      // first time.
+      if (!source.errors.some(e => e.offset == node.offset && e.message == node.message))
+        source.errors.push(node)
+      return [stream, node]
+    }, { kind: 'recover', children: [parser, sync] })
+  }
+
+  // This picks the failure which got furthest, combining expectations if they
+  // got equally far.
+  function furthest_failure(a, b) {
+    if (b.at === null) return a
+    if (a.at === null || b.at.offset > a.at.offset) return b
+    if (a.at.offset > b.at.offset) return a
+
+    return {
+      at: a.at,
+      expected: a.expected.concat(b.expected.filter(e => a.expected.indexOf(e) < 0))
+    }
+  }
+
+  // After a parse we can ask for all errors we recovered from, in the order
+  // in which they appear in the input.
+  Stream.prototype.errors = function() {
+    return this.source.errors.slice().sort((a, b) => a.offset - b.offset)
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let name = is(x => x >= 'a' && x <= 'z').named('name')
+    let digit = is(x => x >= '0' && x <= '9').named('digit')
+    let number = many1(digit).as(digits => parseInt(digits.join('')))
+    let assignment = sequence(
+      name, literal('=').as(ignored_value), number, literal(';').as(ignored_value)
+    )
+    let statement = recover(assignment, literal(';'))
+    let program = sequence(many(statement), at_end).as(first_value)
+
+    // Without errors, nothing changes.
+    let input = new Stream(from_string('a=1;b=23;'))
+    let [next, tree] = program(input)
+    assert(next != NO_MATCH)
+    equal_to([['a', 1], ['b', 23]])(tree)
+    assert(input.errors().length == 0)
+
+    // With errors, we get a partial tree with an error node for each, and a
+    // list of all of them.
+    input = new Stream(from_string('a=1;b=;c=3;d 4;e=5;'))
+    ;[next, tree] = program(input)
+    assert(next != NO_MATCH)
+    assert(tree.length == 5)
+    equal_to(['a', 1])(tree[0])
+    assert(tree[1].type == 'error' && tree[1].message == "line 1, col 7: expected digit")
+    equal_to(['b', '='])(tree[1].skipped)
+    equal_to(['c', 3])(tree[2])
+    assert(tree[3].type == 'error' && tree[3].message == "line 1, col 13: expected '='")
+    equal_to(['e', 5])(tree[4])
+
+    let errors = input.errors()
+    assert(errors.length == 2 && errors[0] === tree[1] && errors[1] === tree[3])
+
+    // The last statement lacks its sync point, so we skip to the end.
+    input = new Stream(from_string('a=1;b=2'))
+    ;[next, tree] = program(input)
+    assert(next != NO_MATCH && tree.length == 2)
+    assert(tree[1].message == "line 1, col 8: expected one of digit, ';'")
+    equal_to(['b', '=', '2'])(tree[1].skipped)
+
+    // Statements may also be synced to newlines.
+    let line = recover(sequence(assignment, literal('\n')).as(first_value), literal('\n'))
+    input = new Stream(from_string('a=1;\nb=x;\nc=3;\n'))
+    ;[next, tree] = many(line)(input)
+    assert(next.head() == null && tree.length == 3 && tree[1].line == 2 && tree[1].column == 3)
+
+    // Errors found along an alternative we gave up on were never part of the
+    // parse.
+    let unfinished = sequence(name, literal('='), literal(';'))
+    input = new Stream(from_string('b=;'))
+    ;[next, tree] = choice(sequence(statement, literal('!')), unfinished)(input)
+    assert(next != NO_MATCH && input.errors().length == 0)
+
+    // Unless we get to them again, which we may well do by remembering them.
+    let remembered = memoized(statement)
+    input = new Stream(from_string('b=;'))
+    ;[next, tree] = choice(sequence(remembered, literal('!')), sequence(remembered, at_end))(input)
+    assert(next != NO_MATCH && input.errors().length == 1 && input.errors()[0] === tree[0])
+
+    // A parser which throws doesn't wipe out the failures from before it.
+    let broken = stream => { throw new Error('broken') }
+    input = new Stream(from_string('x'))
+    literal('y')(input)
+    assert.throws(() => recover(broken, literal(';'))(input), /broken/)
+    assert(input.failure().message == "line 1, col 1: expected 'y'")
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Out-of-sequence parsing
+  //
+  // Up to this point we have tried to parse everything in one go; starting at
+  // the beginning and moving step by step towards the end of the stream. 
+  // Sometimes, however, it can be useful to return to return to something in a
+  // later step.
+  //
+  // The example here will try to parse something enclosed between two markers,
+  // but it will __first__ look for the markers and __only then__ try to match
+  // what was found in between.
+  // 
+  // Why would you want to do such a thing. Well, scanning for the end marker
+  // first may simplify the parser for the intermediate part. Say, for example,
+  // that the end marker is two consecutive square brackets (i.e. ']]'), but
+  // that single square brackets may still appear before that. Setting that up
+  // in-sequence would require catching these cases, and maybe using some form
+  // of negation to make sure we don't accidentally consume the end marker in
+  // error. By looking for the end marker first we can ignore that complexity
+  // by making sure that case won't even show up.
+  function enclosed(opening, inner, closing) {
+    // We will be using skipping to fast-forward to the closing marker.
+    let skip_to_closing = skip_to(closing)
+    
+    return as_fluent_parser(stream => {
+      // Start by matching the opening.
+      let [stream_after_opening, value_from_opening] = opening(stream)
+      if (stream_after_opening == NO_MATCH) return [NO_MATCH, NO_VALUE]
+
+      // Then skip to the end.
+      let [stream_up_to_closing, skipped] = skip_to_closing(stream_after_opening)
+      if (stream_up_to_closing == NO_MATCH) return [NO_MATCH, NO_VALUE]
 
       // Now, skipping returns a list of all values which were skipped.
       // We'll be turning those into a stream and then use that as the source
-      // for the inner parser.
-      let [stream_after_inner, value_from_inner] = inner(new Stream(from_list(skipped || [])))
+      // for the inner parser. If we were parsing text, that stream will be
+      // text as well.
+      let inner_generator_fn = stream.source.is_text
+        ? from_string((skipped || []).join(''))
+        : from_list(skipped || [])
+      // Any [state](#streams-with-state) goes along with it.
+      let inner_stream = new Stream(inner_generator_fn, undefined, stream_after_opening.position())
+        .with_state(stream_after_opening.state)
+      let [stream_after_inner, value_from_inner] = inner(inner_stream)
       // Here we say that we expect the inner parser to match __all__ of the
       // skipped values.
       if (stream_after_inner == NO_MATCH || stream_after_inner.head() != null) return [NO_MATCH, NO_VALUE]
 
-      // Finally, we match the closing marker.
-      let [stream_after_closing, value_from_closing] = closing(stream_up_to_closing)
+      // Finally, we match the closing marker, in whatever state the inner
+      // parser left us.
+      let [stream_after_closing, value_from_closing] =
+        closing(stream_up_to_closing.with_state(stream_after_inner.state))
       
       // And then build and return a value of our own.
       let values = []
@@ -701,7 +1894,7 @@ define([], function () {
       if (value_from_inner != NO_VALUE) values.push(value_from_inner)
       if (value_from_closing != NO_VALUE) values.push(value_from_closing)
       return [stream_after_closing, values]
-    })
+    }, { kind: 'enclosed', children: [opening, inner, closing] })
   }
   
   // --------------------------------------------------------------------------
@@ -748,6 +1941,7 @@ define([], function () {
   function empty(stream) {
     return [stream, NO_VALUE]
   }
+  empty.description = { kind: 'empty', children: [] }
 
   // --------------------------------------------------------------------------
   // **Test**
@@ -766,19 +1960,2038 @@ define([], function () {
 
   // --------------------------------------------------------------------------
 
-  // ## Mapping values
+  // ### Parsing text
   //
-  // At this point we have all the pieces to construct useful parsers, and we
-  // get some raw data from them. However, that data might require some extra
-  // steps to become useful. For instance, it might make sense to join
-  // individual characters into one big string:
-  function joined_value(xs) { return xs.join('') }
+  // Matching text one character at a time is simple, and it keeps our
+  // parsers flexible. But it is also slow, and a bit tedious. To match a
+  // keyword we need a sequence of literals, and then join their values back
+  // into a string. To match a number we need `many` digits, and join those.
+  //
+  // When our stream was made from a string we can do better, as we can look
+  // at the text directly. The following matches a whole string in one go,
+  // returning that string as its value. Once matched we move the stream ahead
+  // by as many characters.
+  //
+  // For streams which are not text we match value by value instead, so
+  // these parsers can be used anywhere.
+  function text(expected) {
+    return as_fluent_parser(stream => {
+      // Comparing the text directly, we may look as far as the end of what
+      // we expect.
+      if (stream.source.text !== undefined) looked_up_to(stream, stream.offset + expected.length)
 
-  // Maybe we want to first value from a list:
-  function first_value(xs) { return xs[0] }
+      if (stream.source.text !== undefined
+          ? stream.source.text.startsWith(expected, stream.offset)
+          : values_match(stream, expected.split('')))
+        return [advance(stream, expected.length), expected]
+
+      stream.expected(describe(expected))
+      return [NO_MATCH, NO_VALUE]
+    }, { kind: 'text', text: expected })
+  }
+
+  function values_match(stream, expected) {
+    for (let value of expected) {
+      if (stream == null || stream.head() != value) return false
+      stream = stream.tail()
+    }
+    return true
+  }
+
+  // This moves a stream ahead by a number of values.
+  function advance(stream, count) {
+    for (let i = 0; i < count; i++) stream = stream.tail()
+    return stream
+  }
+
+  // For anything more flexible we turn to regular expressions. We make the
+  // expression "sticky", so it only matches at the position we ask it to. The
+  // value we return is the matched text. If the expression has capturing
+  // groups the value becomes a list instead: the matched text, followed by
+  // the text matched by each group.
+  //
+  // Regular expressions only make sense on text, so for other streams this
+  // parser never matches. Text which we can't see as a whole, such as text
+  // [arriving in chunks](#parsing-input-as-it-arrives), we read ahead in
+  // instead: up to and including the next line break, or, if the expression
+  // could match line breaks, for as long as more text could still change the
+  // outcome. (Along with the character before us, for anything which looks
+  // back at it, like `^` or `\b`.) That's slower, but we do get the same
+  // answers.
+  //
+  // Looking at the text directly means we have to work out for ourselves how
+  // far we looked, as it matters when [editing text](#editing-text). We can't
+  // see what the regular expression engine gets up to, so we go by what the
+  // expression could match. If none of it matches a line break, it can't
+  // have looked past the next one. If some of it does, we take it that a
+  // match looked no further than the end of the line it ended on, but that a
+  // failure may have looked at all the rest of the text. (Lookbehind is not
+  // taken into account at all.)
+  function pattern(regexp) {
+    let sticky = new RegExp(regexp.source, regexp.flags.replace(/[gy]/g, '') + 'y')
+    let spans_lines = can_match_line_break(regexp)
+    let unfinished = spans_lines ? unfinished_match(regexp) : null
+
+    return as_fluent_parser(stream => {
+      let match = null
+      let text = stream.source.text
+      if (text !== undefined) {
+        sticky.lastIndex = stream.offset
+        match = sticky.exec(text)
+        looked_up_to(stream, !spans_lines ? end_of_line(text, stream.offset)
+          : match !== null ? end_of_line(text, stream.offset + match[0].length)
+          : text.length + 1)
+
+      } else if (stream.source.is_text && spans_lines) {
+        match = match_ahead(stream, sticky, unfinished)
+
+      } else if (stream.source.is_text) {
+        let before = stream.previous_value || ''
+        sticky.lastIndex = before.length
+        match = sticky.exec(before + text_ahead(stream))
+      }
+
+      if (match === null) {
+        stream.expected(regexp.toString())
+        return [NO_MATCH, NO_VALUE]
+      }
+
+      let value = match.length == 1 ? match[0] : Array.from(match)
+      return [advance(stream, match[0].length), value]
+    }, { kind: 'pattern', pattern: regexp })
+  }
+
+  // The bits of an expression which match characters are its character
+  // classes, escapes and dots. We try each of them on a line break.
+  function can_match_line_break(regexp) {
+    let flags = regexp.flags.replace(/[gy]/g, '')
+    let atoms = regexp.source.match(
+      /\[(?:\\.|[^\]\\])*\]|\\u\{[0-9a-fA-F]+\}|\\u[0-9a-fA-F]{4}|\\x[0-9a-fA-F]{2}|\\c[a-zA-Z]|\\.|\.|\n/g)
+
+    return (atoms || []).some(atom => {
+      try { return new RegExp('^(?:' + atom + ')$', flags).test('\n') }
+      catch (e) { return true }
+    })
+  }
+
+  // This reads the text ahead of a stream, up to and including the next line
+  // break.
+  function text_ahead(stream) {
+    let ahead = ''
+    for (let value = stream.head(); value != null; value = stream.head()) {
+      ahead += value
+      stream = stream.tail()
+      if (value == '\n') break
+    }
+    return ahead
+  }
+
+  // An expression which may match line breaks could go on for the rest of the
+  // input, but mostly it doesn't. So we read ahead a bit at a time, twice as
+  // far each time, and try the expression on what we have. Once the text we
+  // have is no longer the start of something it could match, reading further
+  // won't change its answer, and we're done. Only when we run out of text
+  // which has arrived do we ask for more, by giving up with `NEED_MORE`.
+  function match_ahead(stream, sticky, unfinished) {
+    let before = stream.previous_value || ''
+    let [ahead, at, wanted] = ['', stream, 16]
+
+    while (true) {
+      let [ended, waiting] = [false, false]
+      try {
+        while (ahead.length < wanted && !(ended = at.head() == null)) {
+          ahead += at.head()
+          at = at.tail()
+        }
+      } catch (e) {
+        if (e !== NEED_MORE) throw e
+        waiting = true
+      }
+
+      sticky.lastIndex = before.length
+      let match = sticky.exec(before + ahead)
+      if (ended) return match
+
+      if (unfinished !== null) {
+        unfinished.lastIndex = before.length
+        if (!unfinished.test(before + ahead)) return match
+      }
+
+      if (waiting) throw NEED_MORE
+      wanted = 2 * ahead.length
+    }
+  }
+
+  // To tell whether text is the start of something an expression could
+  // match, we derive a second expression from it. For each part of the
+  // expression, this works out one which matches at least what the part
+  // matches, and one which matches at least the start of all that: for `ab`
+  // that is `(?:a)?|a(?:b)?`, for `a*` it is `(?:a)*(?:a)?`. Lookaround,
+  // anchors and word boundaries depend on text we may not have yet, so we
+  // leave them out, and back references may match anything. That makes the
+  // result match more than it needs to, which only means reading a bit
+  // further than we had to. If we can't make sense of the expression, we
+  // return null and keep reading to the end.
+  function unfinished_match(regexp) {
+    let source = regexp.source
+    let at = 0
+
+    let alternatives = () => {
+      let options = [sequence_of()]
+      while (source[at] == '|') {
+        at++
+        options.push(sequence_of())
+      }
+      return [options.map(([all]) => all).join('|'), options.map(([, start]) => start).join('|')]
+    }
+
+    let sequence_of = () => {
+      let [all, starts] = ['', []]
+      while (at < source.length && source[at] != '|' && source[at] != ')') {
+        let [part, start] = quantified(atom())
+        starts.push(all + '(?:' + start + ')')
+        all += '(?:' + part + ')'
+      }
+      return [all, starts.join('|')]
+    }
+
+    let quantified = ([part, start]) => {
+      let quantifier = /^(?:[*+?]|\{[0-9]+(?:,[0-9]*)?\})\??/.exec(source.slice(at))
+      if (quantifier === null) return [part, start]
+      at += quantifier[0].length
+      return quantifier[0][0] == '?' ? ['(?:' + part + ')?', start]
+        : ['(?:' + part + ')*', '(?:' + part + ')*(?:' + start + ')']
+    }
+
+    let atom = () => {
+      let rest = source.slice(at)
+      if (rest[0] == '(') {
+        let opening = /^\((?:\?(?::|<?[=!]|<[^>]*>))?/.exec(rest)[0]
+        at += opening.length
+        let [part, start] = alternatives()
+        if (source[at++] != ')') throw new SyntaxError('missing )')
+        return /[=!]/.test(opening) ? ['', ''] : [part, start]
+      }
+
+      let [matched] = /^(?:\[(?:\\[\s\S]|[^\]\\])*\]|\\(?:u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|[pP]\{[^}]*\}|k<[^>]*>|[1-9][0-9]*|[\s\S])|[\s\S])/u.exec(rest)
+      at += matched.length
+      if (/^(?:\\[bB]|\^|\$)$/.test(matched)) return ['', '']
+      if (/^\\(?:k|[1-9])/.test(matched)) return ['[\\s\\S]*', '[\\s\\S]*']
+      return [matched, '(?:' + matched + ')?']
+    }
+
+    try {
+      let [, start] = alternatives()
+      if (at < source.length) return null
+      return new RegExp('(?:' + start + ')(?![\\s\\S])', regexp.flags.replace(/[gy]/g, '') + 'y')
+    } catch (e) {
+      return null
+    }
+  }
+
+  // Where the line holding an offset ends, counting the line break itself.
+  function end_of_line(text, offset) {
+    let line_break = text.indexOf('\n', offset)
+    return line_break < 0 ? text.length + 1 : line_break + 1
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let keyword = text('let')
+    assert_that('let' ).is_a_valid(keyword).with_value(equal_to('let'))
+    assert_that('le'  ).is_not_a_valid(keyword)
+    assert_that('lets').is_not_a_valid(keyword)
+    assert_that('left').is_not_a_valid(keyword)
+
+    let number = pattern(/[0-9]+/).as(parseInt)
+    assert_that('7'  ).is_a_valid(number).with_value(equal_to(7))
+    assert_that('123').is_a_valid(number).with_value(equal_to(123))
+    assert_that(''   ).is_not_a_valid(number)
+    assert_that('x1' ).is_not_a_valid(number)
+
+    // They compose with everything else, and tell us what they expected.
+    let assignment = sequence(
+      keyword, pattern(/ +/).as(ignored_value),
+      pattern(/[a-z]+/i), text(' = ').as(ignored_value),
+      number
+    )
+    assert_that('let x = 1'   ).is_a_valid(assignment).with_value(equal_to(['let', 'x', 1]))
+    assert_that('let  Abc = 42').is_a_valid(assignment).with_value(equal_to(['let', 'Abc', 42]))
+
+    let input = new Stream(from_string('let x := 1'))
+    assignment(input)
+    assert(input.failure().message == "line 1, col 6: expected ' = '")
+
+    input = new Stream(from_string('let 1 = 1'))
+    assignment(input)
+    assert(input.failure().message == 'line 1, col 5: expected /[a-z]+/i')
+
+    // Capturing groups give us a list of values.
+    let time = pattern(/([0-9]{2}):([0-9]{2})/)
+    assert_that('12:34').is_a_valid(time).with_value(equal_to(['12:34', '12', '34']))
+
+    // Positions stay correct after a match, including across lines.
+    let lines = sequence(pattern(/[a-z]+\n/), text('b'), text('c'))
+    input = new Stream(from_string('aaa\nbd'))
+    lines(input)
+    let failure = input.failure()
+    assert(failure.offset == 5 && failure.line == 2 && failure.column == 2)
+
+    // Matching a string works on other streams too. Patterns don't.
+    assert_that(new Stream(from_list(['l', 'e', 't']))).is_a_valid(keyword)
+    assert_that(new Stream(from_list(['1', '2']))).is_not_a_valid(number)
+
+    // Text we can't see as a whole gets read ahead in, with the same results.
+    let unseen = string => {
+      let generator_fn = from_string(string)
+      let hidden = () => generator_fn()
+      hidden.is_text = true
+      return new Stream(hidden)
+    }
+    assert_that(unseen('let  Abc = 42')).is_a_valid(assignment)
+      .with_value(equal_to(['let', 'Abc', 42]))
+    assert_that(unseen('aaa\nbc')).is_a_valid(lines)
+    assert_that(unseen('ab')).is_not_a_valid(sequence(text('a'), pattern(/^b/)))
+    assert_that(unseen('a\nb')).is_a_valid(sequence(pattern(/a$/m), text('\n'), pattern(/^b/m)))
+    assert_that(unseen('a\nb')).is_not_a_valid(sequence(pattern(/a$/), text('\n'), text('b')))
+
+    // Inside `enclosed` we're still working on text.
+    let quoted = enclosed(text('"'), pattern(/[^"]*/), text('"'))
+    assert_that('"hello world"').is_a_valid(quoted).with_value(equal_to(['"', 'hello world', '"']))
+
+    // When [editing text](#editing-text), patterns which may match across
+    // lines are assumed to have looked at all of the rest of the text when
+    // they fail. Other patterns don't look past the end of their line.
+    let runs = 0
+    let counted = parser => stream => { runs++; return parser(stream) }
+    let multi_line = memoized(counted(pattern(/"[^"]*"/)))
+    let single_line = memoized(counted(pattern(/'[^'\n]*'/)))
+
+    input = new Stream(from_string('"a\nb'))
+    assert(multi_line(input)[0] == NO_MATCH)
+    let closed = input.edited({ offset: 4, inserted: '"' })
+    assert.deepStrictEqual(multi_line(closed)[1], '"a\nb"')
+
+    input = new Stream(from_string("'a\nb"))
+    assert(single_line(input)[0] == NO_MATCH)
+    runs = 0
+    assert(single_line(input.edited({ offset: 4, inserted: "'" }))[0] == NO_MATCH)
+    assert(runs == 0)
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Tokens
+  //
+  // The classic way of parsing text is in two stages. First a lexer breaks up
+  // the text into tokens: numbers, names, operators, and so on, dropping the
+  // bits nobody cares about, like whitespace and comments. Then a parser works
+  // on those tokens rather than on the characters. This keeps grammars short,
+  // as they no longer have to deal with whitespace between every two things.
+  //
+  // We can already parse any stream of values, so all we need is a way of
+  // getting tokens out of text. We describe them with a list of rules, each
+  // having a name and a regular expression for what it matches. Rules which
+  // are flagged to be skipped match things which won't end up as tokens.
+  //
+  //     let tokens = lexer([
+  //       { name: 'space',  pattern: /\s+/, skip: true },
+  //       { name: 'number', pattern: /[0-9]+/ },
+  //       { name: 'plus',   pattern: /\+/ }
+  //     ])
+  //
+  // The lexer we get back works like `from_string`. Give it some text, and it
+  // returns a generator function for a stream, as in
+  // ``new Stream(tokens('1 + 2'))``. That stream holds token objects, with the
+  // name of the rule which matched (their `kind`), the matched `text`, and
+  // their `start` and `end` positions in the text.
+  //
+  // When more than one rule matches we pick the one which matches the longest
+  // text, so that `iffy` is a name rather than the keyword `if` followed by
+  // `fy`. If that still leaves a tie, the rule listed first wins. When no rule
+  // matches we produce a single character token of kind 'error', and let the
+  // parser deal with it.
+  //
+  // As with `from_string`, tokens only get made when a parser asks for them.
+  function lexer(rules) {
+    let sticky_rules = rules.map(rule => ({
+      name: rule.name,
+      skip: rule.skip === true,
+      pattern: new RegExp(rule.pattern.source, rule.pattern.flags.replace(/[gy]/g, '') + 'y')
+    }))
+
+    return function(string) {
+      let position = { offset: 0, line: 1, column: 1 }
+
+      function next_token() {
+        let [rule, length] = [null, 0]
+        for (let candidate of sticky_rules) {
+          candidate.pattern.lastIndex = position.offset
+          let match = candidate.pattern.exec(string)
+          if (match !== null && match[0].length > length)
+            [rule, length] = [candidate, match[0].length]
+        }
+
+        let token = {
+          kind: rule === null ? 'error' : rule.name,
+          text: string.slice(position.offset, position.offset + Math.max(length, 1)),
+          start: position
+        }
+        position = token.end = moved_past(position, token.text)
+        return rule !== null && rule.skip ? undefined : token
+      }
+
+      return function() {
+        while (position.offset < string.length) {
+          let token = next_token()
+          if (token !== undefined) return token
+        }
+        return null
+      }
+    }
+  }
+
+  // This works out where we end up after some text.
+  function moved_past(position, text) {
+    let [line, column] = [position.line, position.column]
+    for (let character of text) {
+      if (character == '\n') [line, column] = [line + 1, 1]
+      else column++
+    }
+    return { offset: position.offset + text.length, line: line, column: column }
+  }
+
+  // Parsing tokens then comes down to checking their kind, and maybe their
+  // text. The value is the token itself.
+  function token(kind, text) {
+    let description = text === undefined ? kind : "'" + text + "'"
+    return as_fluent_parser(match(
+      actual => actual != null && actual.kind == kind
+        && (text === undefined || actual.text == text),
+      description
+    ), { kind: 'token', token: kind, text: text, expected: description })
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let tokens = lexer([
+      { name: 'space',   pattern: /\s+/, skip: true },
+      { name: 'comment', pattern: /#.*/, skip: true },
+      { name: 'keyword', pattern: /if|then|else/ },
+      { name: 'name',    pattern: /[a-z]+/ },
+      { name: 'number',  pattern: /[0-9]+/ },
+      { name: 'symbol',  pattern: /[<>=]=?/ }
+    ])
+
+    let stream = new Stream(tokens('if x1 # a comment\n  then'))
+    let first = stream.head()
+    assert(first.kind == 'keyword' && first.text == 'if')
+    assert(first.start.offset == 0 && first.end.offset == 2)
+
+    // Longest match wins: this is a name followed by a number.
+    let second = stream.tail().head()
+    assert(second.kind == 'name' && second.text == 'x')
+    assert(stream.tail().tail().head().kind == 'number')
+
+    // Whitespace and comments are gone, but positions are kept.
+    let then = stream.tail().tail().tail().head()
+    assert(then.kind == 'keyword' && then.text == 'then')
+    assert(then.start.line == 2 && then.start.column == 3 && then.start.offset == 20)
+    assert(stream.tail().tail().tail().tail().head() == null)
+
+    // Now for a grammar over tokens.
+    let value = choice(token('name'), token('number')).as(t => t.text)
+    let condition = sequence(value, token('symbol').as(t => t.text), value)
+    let statement = sequence(
+      token('keyword', 'if').as(ignored_value), condition,
+      token('keyword', 'then').as(ignored_value), value,
+      optional(sequence(token('keyword', 'else').as(ignored_value), value).as(first_value))
+    )
+
+    assert_that(new Stream(tokens('if a < 10 then b')))
+      .is_a_valid(statement)
+      .with_value(equal_to([['a', '<', '10'], 'b']))
+    assert_that(new Stream(tokens('if  a>=b\nthen 1 else 2 # done')))
+      .is_a_valid(statement)
+      .with_value(equal_to([['a', '>=', 'b'], '1', '2']))
+
+    // Failures are reported in terms of the text the tokens came from.
+    let input = new Stream(tokens('if a <\n  then b'))
+    statement(input)
+    assert(input.failure().message == 'line 2, col 3: expected one of name, number')
+
+    input = new Stream(tokens('if a < b else c'))
+    statement(input)
+    assert(input.failure().message == "line 1, col 10: expected 'then'")
+
+    // Characters no rule knows about become error tokens.
+    input = new Stream(tokens('if a ? b'))
+    statement(input)
+    assert(input.failure().message == 'line 1, col 6: expected symbol')
+    assert(input.failure().found.kind == 'error' && input.failure().found.text == '?')
+
+    // Once we're out of tokens there is no position left to report, other
+    // than the number of tokens we got through.
+    input = new Stream(tokens('if a <'))
+    statement(input)
+    assert(input.failure().message == 'offset 3: expected one of name, number')
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Knowing where things came from
+  //
+  // Once we've parsed something, we often want to know where in the input it
+  // came from. A compiler wants to point at the line with the type error. An
+  // editor wants to highlight the name under the cursor.
+  //
+  // Streams know where they are, as we've seen, and `position()` tells us
+  // where that is in terms of the original input. With that we can wrap the
+  // value of any parser with where it started and where it ended. The end is
+  // the position right after the last value which was matched.
+  //
+  // For streams of tokens the positions in the stream itself aren't all that
+  // interesting. Tokens know where they came from in the text though, so we
+  // start at the start of the first token matched, and end at the end of the
+  // last one.
+  function located(parser) {
+    return as_fluent_parser(stream => {
+      let [next, value] = parser(stream)
+      if (next == NO_MATCH || value === NO_VALUE) return [next, value]
+
+      return [next, { value: value, start: start_of(stream), end: end_of(stream, next) }]
+    }, { kind: 'located', children: [parser] })
+  }
+
+  function start_of(stream) {
+    let value = stream.head()
+    if (!stream.source.is_text && value != null && value.start !== undefined)
+      return value.start
+    else
+      return stream.position()
+  }
+
+  function end_of(stream, next) {
+    let value = next.previous_value
+    if (!stream.source.is_text && next.offset > stream.offset
+        && value != null && value.end !== undefined)
+      return value.end
+    else
+      return next.offset > stream.offset ? next.position() : start_of(stream)
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let span = (start, end) => located => {
+      assert(located.start.offset == start[0] && located.start.line == start[1] && located.start.column == start[2])
+      assert(located.end.offset == end[0] && located.end.line == end[1] && located.end.column == end[2])
+    }
+
+    let word = located(pattern(/[a-z]+/))
+    assert_that('hello').is_a_valid(word).with_value(w => {
+      assert(w.value == 'hello')
+      span([0, 1, 1], [5, 1, 6])(w)
+    })
+
+    // Through sequences and repetition.
+    let words = many(sequence(word, optional(pattern(/\s+/).as(ignored_value))).as(first_value))
+    assert_that('one two\n  three').is_a_valid(words).with_value(ws => {
+      assert(ws.length == 3 && ws[2].value == 'three')
+      span([0, 1, 1], [3, 1, 4])(ws[0])
+      span([4, 1, 5], [7, 1, 8])(ws[1])
+      span([10, 2, 3], [15, 2, 8])(ws[2])
+    })
+
+    // Located values can be nested.
+    let pair = located(sequence(word, literal('=').as(ignored_value), word))
+    assert_that('key=value').is_a_valid(pair).with_value(p => {
+      span([0, 1, 1], [9, 1, 10])(p)
+      span([4, 1, 5], [9, 1, 10])(p.value[1])
+    })
+
+    // Skipping works too.
+    let skipped = sequence(located(skip_to(literal('!'))), literal('!'))
+    assert_that('ab\ncd!').is_a_valid(skipped).with_value(([s]) => {
+      assert(s.value.join('') == 'ab\ncd')
+      span([0, 1, 1], [5, 2, 3])(s)
+    })
+
+    // As does `enclosed`, where the inner parser works on a stream of its own.
+    let box = enclosed(text('[['), many(located(pattern(/[a-z]+|\n/))), text(']]'))
+    assert_that('[[a\nbc]]').is_a_valid(box).with_value(([open, inner, close]) => {
+      span([2, 1, 3], [3, 1, 4])(inner[0])
+      span([3, 1, 4], [4, 2, 1])(inner[1])
+      span([4, 2, 1], [6, 2, 3])(inner[2])
+    })
+
+    // Failures inside `enclosed` are positioned in the original input too.
+    let input = new Stream(from_string('[[a]]'))
+    let inner_stream = null
+    enclosed(text('[['), stream => { inner_stream = stream; return text('b')(stream) }, text(']]'))(input)
+    assert(inner_stream.failure().message == "line 1, col 3: expected 'b'")
+
+    // Values which matched nothing are positioned where they would have been.
+    assert_that('x').is_a_valid(sequence(located(many(literal('y'))), literal('x')))
+      .with_value(([nothing]) => span([0, 1, 1], [0, 1, 1])(nothing))
+
+    // For tokens we get the positions of the tokens in the text.
+    let tokens = lexer([
+      { name: 'space', pattern: /\s+/, skip: true },
+      { name: 'name', pattern: /[a-z]+/ }
+    ])
+    let names = many(located(many1(token('name'))))
+    assert_that(new Stream(tokens('  ab cd\n ef  '))).is_a_valid(names).with_value(([n]) => {
+      assert(n.value.length == 3)
+      span([2, 1, 3], [11, 2, 4])(n)
+    })
+  }
+  // --------------------------------------------------------------------------
 
-  // Maybe we want a fixed value:
-  function constant_value(c) { return x => c }
+  // ### Building trees
+  //
+  // Most grammars end up building a tree of some sort: a program holds
+  // statements, which hold expressions, which hold other expressions. Doing
+  // that with `sequence` means picking values out of lists by position:
+  // ``.as(xs => ({ type: 'Assignment', target: xs[0], value: xs[1] }))``.
+  // Which is easy to get wrong, and breaks as soon as the grammar changes.
+  //
+  // So instead we can label the parts we're interested in. `fields` works
+  // like `sequence`, but its value is an object holding the values of the
+  // labelled parts under their labels. Anything unlabelled is matched, and
+  // then left out. So is a labelled part which leaves no value.
+  //
+  // ```fields(label('target', name), text(' = '), label('value', expression))```
+  //
+  // A label does nothing by itself. It's only there for `fields` to find.
+  function label(name, parser) {
+    return as_fluent_parser(stream => parser(stream),
+      { kind: 'label', label: name, children: [parser] })
+  }
+
+  function fields() {
+    let parsers = Array.prototype.slice.call(arguments, 0)
+    let labels = parsers.map(parser =>
+      description_of(parser).kind == 'label' ? description_of(parser).label : undefined)
+
+    return as_fluent_parser(stream => {
+      let values = {}
+      for (let i = 0; i < parsers.length; i++) {
+        let [next, value] = parsers[i](stream)
+        if (next == NO_MATCH) return [NO_MATCH, NO_VALUE]
+        if (labels[i] !== undefined && value !== NO_VALUE) values[labels[i]] = value
+        stream = next
+      }
+
+      return [stream, values]
+    }, { kind: 'fields', children: parsers })
+  }
+
+  // The nodes of our trees know what type of node they are, and where they
+  // came from. `node` makes one for every match of a parser. When that's a
+  // `fields` parser, its fields become those of the node. For any other
+  // parser we keep its value as the node's `value`. Either way the node also
+  // gets a `type`, a `start` and an `end`, so don't use those as labels.
+  //
+  // ```let assignment = node('Assignment', fields(...))```
+  //
+  // Nodes can be printed again (see `prsly-print`), as we know how to take
+  // them apart.
+  function Node(type) {
+    this.type = type
+  }
+
+  function node(type, parser) {
+    let spread = description_of(parser).kind == 'fields'
+
+    return located(parser).as(
+      ({ value, start, end }) => Object.assign(new Node(type), spread ? value : { value: value },
+        { start: start, end: end }),
+      tree => {
+        let values = {}
+        for (let key of Object.keys(tree))
+          if (key != 'type' && key != 'start' && key != 'end') values[key] = tree[key]
+        return { value: spread ? values : values.value }
+      })
+  }
+
+  // Once we have a tree we'll want to do something with it. `visit` walks
+  // through it, depth first, and calls the visitor for each node with the
+  // node itself and the node holding it. The visitor has a function for each
+  // type of node it cares about. If that returns `false` we skip whatever
+  // the node holds. For things which need doing after that, such as leaving
+  // a scope, the visitor may give an `enter` and a `leave` function instead.
+  //
+  // What a node holds are the values of its fields which are nodes, or lists
+  // of them.
+  function visit(tree, visitor, parent) {
+    if (Array.isArray(tree)) return tree.forEach(item => visit(item, visitor, parent))
+    if (!(tree instanceof Node)) return
+
+    let visiting = visitor[tree.type] || {}
+    let enter = typeof visiting === 'function' ? visiting : visiting.enter
+    if (enter !== undefined && enter(tree, parent) === false) return
+
+    for (let key of Object.keys(tree)) visit(tree[key], visitor, tree)
+    if (visiting.leave !== undefined) visiting.leave(tree, parent)
+  }
+
+  // Or we may want a different tree altogether. `transform` works its way up
+  // from the leaves, giving each node (with whatever it holds already
+  // transformed) to the transformer for its type. Whatever that returns
+  // takes the place of the node. Nodes without a transformer are copied. The
+  // tree we started from stays as it was.
+  function transform(tree, transformer) {
+    if (Array.isArray(tree)) return tree.map(item => transform(item, transformer))
+    if (!(tree instanceof Node)) return tree
+
+    let copy = new Node(tree.type)
+    for (let key of Object.keys(tree)) copy[key] = transform(tree[key], transformer)
+    return transformer[tree.type] === undefined ? copy : transformer[tree.type](copy)
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let name = pattern(/[a-z]+/)
+    let number = pattern(/[0-9]+/).as(x => parseInt(x))
+
+    // Fields hold the labelled values, and nothing else.
+    let pair = fields(label('key', name), text('='), label('value', number))
+    assert_that('a=1').is_a_valid(pair).with_value(value =>
+      assert.deepStrictEqual(value, { key: 'a', value: 1 }))
+    assert_that('a=').is_not_a_valid(pair)
+
+    // Labelled parts which leave no value are left out.
+    let signed = fields(label('sign', optional(text('-'))), label('digits', number))
+    assert_that('-5').is_a_valid(signed).with_value(value =>
+      assert.deepStrictEqual(value, { sign: '-', digits: 5 }))
+    assert_that('5').is_a_valid(signed).with_value(value =>
+      assert.deepStrictEqual(value, { digits: 5 }))
+
+    // A small language, as a tree.
+    let expression = choice(node('Number', number), node('Variable', name))
+    let assignment = node('Assignment',
+      fields(label('target', name), text(' = '), label('value', expression), text(';')))
+    let program = node('Program',
+      fields(label('body', many(sequence(assignment, optional(text('\n'))).as(first_value)))))
+
+    let tree
+    assert_that('x = 1;\ny = x;').is_a_valid(program).with_value(value => { tree = value })
+
+    assert(tree instanceof Node && tree.type == 'Program' && tree.body.length == 2)
+    let [first, second] = tree.body
+    assert(first.type == 'Assignment' && first.target == 'x')
+    assert(first.value.type == 'Number' && first.value.value == 1)
+    assert(second.value.type == 'Variable' && second.value.value == 'x')
+
+    // Each node knows where it came from.
+    assert(tree.start.offset == 0 && tree.end.offset == 13)
+    assert(second.start.line == 2 && second.start.column == 1 && second.end.column == 7)
+    assert(second.value.start.column == 5 && second.value.end.column == 6)
+
+    // Visiting nodes, depth first.
+    let seen = []
+    visit(tree, {
+      Assignment: { enter: node => seen.push('enter ' + node.target), leave: node => seen.push('leave ' + node.target) },
+      Variable: (node, parent) => seen.push(node.value + ' in ' + parent.target)
+    })
+    assert.deepStrictEqual(seen, ['enter x', 'leave x', 'enter y', 'x in y', 'leave y'])
+
+    // Returning `false` skips what a node holds.
+    let variables = 0
+    visit(tree, { Assignment: node => node.target != 'y', Variable: node => { variables++ } })
+    assert(variables == 0)
+
+    // Transforming a tree makes a new one. Here we replace variables by their
+    // values.
+    let values = {}
+    let evaluated = transform(tree, {
+      Number: node => node.value,
+      Variable: node => values[node.value],
+      Assignment: node => { values[node.target] = node.value; return node }
+    })
+    assert.deepStrictEqual(evaluated.body.map(node => node.value), [1, 1])
+    assert(evaluated instanceof Node && evaluated.start == tree.start)
+    assert(tree.body[1].value.type == 'Variable')
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Parsing bytes
+  //
+  // Not everything we'd like to parse is text. Images, archives and network
+  // protocols come as bytes. This turns a Node.js `Buffer`, a `Uint8Array`
+  // (or any other typed array, or an `ArrayBuffer`) into a stream of bytes.
+  // Each value in the stream is a number from 0 to 255.
+  function from_buffer(buffer) {
+    let bytes = ArrayBuffer.isView(buffer)
+      ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+      : new Uint8Array(buffer)
+    return from_list(bytes)
+  }
+
+  // Single bytes we can match with `literal` and friends. Most formats build
+  // bigger things from them though: numbers of two, four or eight bytes. Those
+  // come in two orders. Most formats put the most significant byte first
+  // ('big' endian, also known as network order), so that is what we do,
+  // unless asked for the other way around with 'little'.
+  //
+  // Bytes don't have to come from a buffer. Any stream of numbers from 0 to
+  // 255 will do.
+  function take(stream, count) {
+    let bytes = new Uint8Array(count)
+    for (let i = 0; i < count; i++) {
+      let value = stream.head()
+      if (!Number.isInteger(value) || value < 0 || value > 255) return [NO_MATCH, NO_VALUE]
+      bytes[i] = value
+      stream = stream.tail()
+    }
+    return [stream, bytes]
+  }
+
+  function binary_number(type, size, reading, endian) {
+    if (endian === undefined) endian = 'big'
+    let expected = size == 1 ? type : type + ' (' + endian + ' endian)'
+
+    return as_fluent_parser(stream => {
+      let [next, bytes] = take(stream, size)
+      if (next == NO_MATCH) {
+        stream.expected(expected)
+        return [NO_MATCH, NO_VALUE]
+      }
+
+      return [next, new DataView(bytes.buffer)['get' + reading](0, endian == 'little')]
+    }, { kind: 'binary', type: type, size: size, endian: endian, expected: expected })
+  }
+
+  function u8()        { return binary_number('u8',  1, 'Uint8') }
+  function i8()        { return binary_number('i8',  1, 'Int8') }
+  function u16(endian) { return binary_number('u16', 2, 'Uint16', endian) }
+  function i16(endian) { return binary_number('i16', 2, 'Int16', endian) }
+  function u32(endian) { return binary_number('u32', 4, 'Uint32', endian) }
+  function i32(endian) { return binary_number('i32', 4, 'Int32', endian) }
+  function f32(endian) { return binary_number('f32', 4, 'Float32', endian) }
+  function f64(endian) { return binary_number('f64', 8, 'Float64', endian) }
+
+  // A run of bytes we give back as they are, in a `Uint8Array`.
+  function bytes(count) {
+    let expected = count + ' bytes'
+    return as_fluent_parser(stream => {
+      let [next, value] = take(stream, count)
+      if (next == NO_MATCH) stream.expected(expected)
+      return [next, value]
+    }, { kind: 'bytes', count: count, expected: expected })
+  }
+
+  // Plenty of formats don't spend a whole byte on every field. Flags may take
+  // up a single bit, small numbers three or four. `bits` splits as many bytes
+  // as it takes into fields of the given widths, most significant bit first,
+  // and gives us the value of each. The widths have to add up to whole bytes.
+  function bits(...widths) {
+    let total = widths.reduce((sum, width) => sum + width, 0)
+    if (total == 0 || total % 8 != 0)
+      throw new Error('Bit fields must add up to whole bytes, not ' + total + ' bits.')
+
+    let expected = widths.join('+') + ' bits'
+    return as_fluent_parser(stream => {
+      let [next, bytes] = take(stream, total / 8)
+      if (next == NO_MATCH) {
+        stream.expected(expected)
+        return [NO_MATCH, NO_VALUE]
+      }
+
+      let position = 0
+      let bit = () => (bytes[position >> 3] >> (7 - (position++ & 7))) & 1
+      return [next, widths.map(width => {
+        let value = 0
+        for (let i = 0; i < width; i++) value = value * 2 + bit()
+        return value
+      })]
+    }, { kind: 'bits', widths: widths, expected: expected })
+  }
+
+  // Finally, fields often come with their length in front of them. `prefixed`
+  // reads that length using the first parser, and then gives the second one
+  // exactly that many bytes to work with. It has to use up all of them. Left
+  // out, we just get the bytes.
+  //
+  // As with `enclosed` the inner parser works on a stream of its own. Should
+  // it fail, we pass on what it expected, and where, to our own stream. That
+  // way failures get reported as if there had been only the one stream.
+  function prefixed(length, parser) {
+    return as_fluent_parser(stream => {
+      let [after_length, count] = length(stream)
+      if (after_length == NO_MATCH) return [NO_MATCH, NO_VALUE]
+
+      let [after_field, field] = take(after_length, count)
+      if (after_field == NO_MATCH) {
+        after_length.expected(count + ' bytes')
+        return [NO_MATCH, NO_VALUE]
+      }
+      if (parser === undefined) return [after_field, field]
+
+      let inner_stream = new Stream(from_buffer(field), undefined, after_length.position())
+        .with_state(after_length.state)
+      let [end, value] = parser(inner_stream)
+      if (end != NO_MATCH && end.head() == null) return [after_field.with_state(end.state), value]
+
+      if (end != NO_MATCH) end.expected('end of field')
+      let failure = inner_stream.source.failure
+      let at = advance(after_length, failure.at === null ? 0 : failure.at.offset)
+      at.expected(undefined)
+      for (let description of failure.expected) at.expected(description)
+      return [NO_MATCH, NO_VALUE]
+    }, { kind: 'prefixed', children: parser === undefined ? [length] : [length, parser] })
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    // Numbers of all sizes and both orders.
+    let buffer = new ArrayBuffer(35)
+    let view = new DataView(buffer)
+    view.setUint8(0, 200)
+    view.setInt8(1, -3)
+    view.setUint16(2, 0xBEEF)
+    view.setUint16(4, 0xBEEF, true)
+    view.setInt32(6, -123456)
+    view.setUint32(10, 0xDEADBEEF, true)
+    view.setFloat32(14, 1.5, true)
+    view.setFloat64(18, Math.PI)
+    view.setInt16(26, -2, true)
+    view.setUint32(28, 7)
+    view.setInt8(32, 1)
+    view.setUint16(33, 0xCAFE)
+
+    let numbers = sequence(u8(), i8(), u16(), u16('little'), i32(), u32('little'),
+      f32('little'), f64(), i16('little'), u32(), bytes(3), at_end)
+    let [next, value] = numbers(new Stream(from_buffer(buffer)))
+    assert(next != NO_MATCH)
+    assert.deepStrictEqual(value.slice(0, 10),
+      [200, -3, 0xBEEF, 0xBEEF, -123456, 0xDEADBEEF, 1.5, Math.PI, -2, 7])
+    assert.deepStrictEqual(Array.from(value[10]), [1, 0xCA, 0xFE])
+
+    // Node.js buffers work too, including ones which are part of a bigger one.
+    let bigger = Buffer.from([9, 9, 1, 2, 9])
+    assert_that(new Stream(from_buffer(bigger.subarray(2, 4)))).is_a_valid(u16()).with_value(equal_to(0x0102))
+    assert_that(new Stream(from_buffer(bigger.subarray(2, 4)))).is_a_valid(u16('little')).with_value(equal_to(0x0201))
+
+    // As do lists of numbers, but not text.
+    assert_that(new Stream(from_list([1, 0]))).is_a_valid(u16('little')).with_value(equal_to(1))
+    assert_that('ab').is_not_a_valid(u16())
+
+    // Running out of bytes tells us what we were after.
+    let input = new Stream(from_buffer(Buffer.from([1, 2, 3, 4])))
+    sequence(u8(), u32())(input)
+    assert(input.failure().message == 'offset 1: expected u32 (big endian)')
+
+    // Bit fields.
+    assert_that(new Stream(from_buffer(Buffer.from([0b10110101]))))
+      .is_a_valid(bits(1, 3, 4)).with_value(equal_to([1, 3, 5]))
+    assert_that(new Stream(from_buffer(Buffer.from([0xAB, 0xCD]))))
+      .is_a_valid(bits(4, 12)).with_value(equal_to([0xA, 0xBCD]))
+    assert.throws(() => bits(3, 4), /Bit fields must add up to whole bytes, not 7 bits\./)
+
+    // Length prefixed fields, as bytes or parsed further.
+    let utf8 = prefixed(u8()).as(field => new TextDecoder().decode(field))
+    assert_that(new Stream(from_buffer(Buffer.from([2, 0x68, 0x69]))))
+      .is_a_valid(utf8).with_value(equal_to('hi'))
+    let shorts = prefixed(u16(), many(u16('little')))
+    assert_that(new Stream(from_buffer(Buffer.from([0, 4, 1, 0, 2, 0]))))
+      .is_a_valid(shorts).with_value(equal_to([1, 2]))
+
+    // The inner parser has to use up the whole field, and can't go beyond it.
+    // Failures inside the field are reported in terms of the whole input.
+    input = new Stream(from_buffer(Buffer.from([7, 3, 1, 0, 2, 0])))
+    sequence(u8(), prefixed(u8(), many(u16('little'))))(input)
+    assert(input.failure().message == 'offset 4: expected one of u16 (little endian), end of field')
+    input = new Stream(from_buffer(Buffer.from([3, 1, 2])))
+    prefixed(u8())(input)
+    assert(input.failure().message == 'offset 1: expected 3 bytes')
+    input = new Stream(from_buffer(Buffer.from([0, 0, 3, 1, 2, 3])))
+    sequence(u16(), prefixed(u8(), sequence(u8(), literal(9), u8())))(input)
+    assert(input.failure().message == 'offset 4: expected 9')
+
+    // Now for something real: the chunks of a (tiny, imageless) PNG. Each
+    // chunk has a length, a type, data of that length, and a checksum. We
+    // count the type in with the data, so we can parse both from one field.
+    let png = Buffer.from(
+      '89504e470d0a1a0a' +
+      '0000000d' + '49484452' + '00000001' + '00000002' + '0806000000' + '4d3be5e4' +
+      '00000000' + '49454e44' + 'ae426082', 'hex')
+
+    let ascii = codes => String.fromCharCode(...codes)
+    let signature = sequence(...[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a].map(literal))
+      .as(ignored_value)
+    let chunk = sequence(
+      prefixed(u32().as(count => count + 4), sequence(bytes(4).as(ascii), many(u8()))),
+      u32()
+    ).as(([[type, data], checksum]) => ({ type: type, data: Uint8Array.from(data), checksum: checksum }))
+    let chunks = sequence(signature, many1(chunk), at_end).as(first_value)
+
+    let [after, found] = chunks(new Stream(from_buffer(png)))
+    assert(after != NO_MATCH)
+    equal_to(['IHDR', 'IEND'])(found.map(c => c.type))
+    assert(found[0].checksum == 0x4d3be5e4 && found[1].data.length == 0)
+
+    // Whatever we get back we can parse in turn.
+    let header = sequence(u32(), u32(), u8(), u8(), u8(), u8(), u8(), at_end)
+      .as(([width, height, depth, colour]) => ({ width, height, depth, colour }))
+    let [rest, ihdr] = header(new Stream(from_buffer(found[0].data)))
+    assert.deepStrictEqual(ihdr, { width: 1, height: 2, depth: 8, colour: 6 })
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Parsing input as it arrives
+  //
+  // Our streams pull values from a generator function whenever a parser asks
+  // for them. That function has to come up with an answer right away, which
+  // means all of the input must be at hand before we start parsing. For a
+  // multi-gigabyte log file that is not what we want. We'd rather read it a
+  // chunk at a time, and parse it as the chunks come in.
+  //
+  // The parsers themselves need not change for this, as long as we're willing
+  // to do some work twice. The idea is that when a parser asks for a value
+  // which has not arrived yet, the generator function gives up by throwing
+  // `NEED_MORE`. That aborts the parse. We then wait for the next chunk, and
+  // try again from the start. Nothing gets lost: the stream caches all values
+  // it got before, so we're only redoing the parsing, not the reading. This
+  // works best when parsing many small things, like the lines in a log file,
+  // rather than one big thing.
+  const NEED_MORE = { toString: () => 'need more input' }
+
+  // This creates a generator function for text arriving in chunks from an
+  // async iterable, such as a Node.js readable stream. Chunks may be strings,
+  // or bytes which we decode as UTF-8. We only ask for the next chunk when the
+  // parser needs it, and only hold on to the chunk we're working through.
+  //
+  // We can't hand out the text as a whole here. The generator does tell
+  // streams that it produces text though, which is all `pattern` needs to
+  // know to read ahead in it instead.
+  function from_chunks(chunks) {
+    let iterator = chunks[Symbol.asyncIterator]
+      ? chunks[Symbol.asyncIterator]()
+      : chunks[Symbol.iterator]()
+    let decoder = new TextDecoder()
+    let [chunk, position, done] = ['', 0, false]
+
+    let generator_fn = function() {
+      if (position < chunk.length) return chunk.charAt(position++)
+      else if (done) return null
+      else throw NEED_MORE
+    }
+
+    generator_fn.is_text = true
+    generator_fn.more = async function() {
+      let next = await iterator.next()
+      chunk = next.done ? decoder.decode()
+        : typeof next.value === 'string' ? next.value
+        : decoder.decode(next.value, { stream: true })
+      position = 0
+      done = next.done
+    }
+
+    return generator_fn
+  }
+
+  // Running a parser on such a stream then becomes a matter of trying until
+  // we no longer need more. The result is a promise for what the parser would
+  // normally return. (Input isn't the only thing we may be [waiting
+  // for](#waiting-for-values), so we deal with that here as well.)
+  async function when_parsed(parser, stream) {
+    let source = stream.source
+    let was_async = source.is_async
+    source.is_async = true
+
+    try {
+      while (true) {
+        try {
+          return parser(stream)
+        } catch (e) {
+          if (e === NEED_MORE) await stream.generator_fn.more()
+          else if (e instanceof Waiting) await e.promise
+          else throw e
+        }
+      }
+    } finally {
+      source.is_async = was_async
+    }
+  }
+
+  // Typically, though, we'll want to parse the same thing over and over: log
+  // entry after log entry. That is what `many` does, but `many` would hold on
+  // to all values until the end of the input. Instead, the following hands
+  // out each value as soon as it gets parsed. It then lets go of that part of
+  // the stream, so memory use stays flat however big the input grows.
+  //
+  // If the parser fails to match (or matches without moving on) before we
+  // reach the end of the input, we report why by throwing an error.
+  async function* each(parser, chunks) {
+    let stream = new Stream(from_chunks(chunks))
+    while (true) {
+      let [end] = await when_parsed(at_end, stream)
+      if (end != NO_MATCH) return
+
+      let [next, value] = await when_parsed(parser, stream)
+      if (next == NO_MATCH || next.offset == stream.offset)
+        throw new Error(stream.failure().message)
+
+      stream = next
+      if (value !== NO_VALUE) yield value
+    }
+  }
+
+  // (Waiting for chunks to arrive takes a while, so the tests for this can't
+  // run while the module loads, like all others do. They live in
+  // [sample.chunks.js](sample.chunks.js) instead.)
+
+  // ### Waiting for values
+  //
+  // Sometimes working out a value takes a while. Say we want to check names
+  // against a symbol table which lives in a database. We can only ask it
+  // asynchronously, and get back a promise of an answer. But parsers are
+  // synchronous. They want their answers now.
+  //
+  // We get around that the same way we got around input which has yet to
+  // arrive. When `when_parsed` runs a parser, value functions may return
+  // promises. When one does, we stop, wait for the promise, remember what it
+  // resolved to, and try again from the start. This time around we already
+  // have that answer, so we can carry on, up to the next promise. Answers get
+  // remembered with the stream they were asked at, for the parser which asked,
+  // and where it ended. So no question gets asked twice, however many times
+  // we have to start over. (Starting over is cheaper with [remembered
+  // results](#remembering-results), of course.)
+  //
+  // Anywhere else nothing changes: a promise is a value like any other.
+  function Waiting(promise) {
+    this.promise = promise
+  }
+
+  function answered(stream, next, parser, answer_fn) {
+    if (!stream.source.is_async) return answer_fn()
+
+    let answers = stream.answers === undefined ? undefined : stream.answers.get(parser)
+    if (answers !== undefined && answers.has(next.offset)) return answers.get(next.offset)
+
+    let answer = answer_fn()
+    if (answer == null || typeof answer.then !== 'function') return answer
+
+    throw new Waiting(Promise.resolve(answer).then(value => {
+      if (stream.answers === undefined) stream.answers = new Map()
+      if (!stream.answers.has(parser)) stream.answers.set(parser, new Map())
+      stream.answers.get(parser).set(next.offset, value)
+    }))
+  }
+
+  // Values aren't the only thing worth waiting for. `provided` lets a parser
+  // match only when its value passes a test, as in "a name, provided it has
+  // been declared". The test may answer right away, or with a promise.
+  function provided(parser, test_fn, description) {
+    let testing_parser = stream => {
+      let [next, value] = parser(stream)
+      if (next == NO_MATCH) return [NO_MATCH, NO_VALUE]
+      if (answered(stream, next, testing_parser, () => test_fn(value))) return [next, value]
+
+      stream.expected(description)
+      return [NO_MATCH, NO_VALUE]
+    }
+
+    return as_fluent_parser(testing_parser,
+      { kind: 'provided', children: [parser], expected: description })
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    // Tests work just as well without waiting.
+    let number = pattern(/[0-9]+/).as(x => parseInt(x))
+    let small = provided(number, n => n < 50, 'a small number')
+    assert_that('12').is_a_valid(small).with_value(equal_to(12))
+    assert_that('99').is_not_a_valid(small)
+
+    let input = new Stream(from_string('99'))
+    small(input)
+    assert(input.failure().message == 'line 1, col 1: expected a small number')
+
+    // (The rest of these tests wait for answers, so they can't run while the
+    // module loads. They live in [sample.waiting.js](sample.waiting.js).)
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Operator precedence
+  //
+  // Expressions are everywhere: arithmetic, boolean conditions, queries, ...
+  // And they are a bit of a pain to write with what we have so far. Every
+  // level of precedence needs its own rule, referencing the rule for the next
+  // level up. With a dozen operators that gets old very fast.
+  //
+  // Instead, we'll borrow a trick from [Vaughan Pratt](https://tdop.github.io/).
+  // Every operator gets a binding power, which says how strongly it holds on
+  // to its operands. Multiplication binds stronger than addition, so in
+  // `1+2*3` the `2` goes with the `*`. When two operators bind equally strong,
+  // associativity breaks the tie: a left associative operator lets the
+  // operator on its left take the operand, a right associative one takes it
+  // for itself.
+  //
+  // We describe operators in a table. Each entry is made by one of the
+  // following functions, taking a parser for the operator itself and its
+  // binding power. Just like parsers, the entries let you decide on the value
+  // they build through `.as(...)`. By default this is a list of the values of
+  // operands and operator, in the order in which they appear; which is what
+  // `sequence` would give you.
+  function prefix(operator, power) {
+    return operator_entry('prefix', operator, power)
+  }
+
+  function infix(operator, power, associativity) {
+    let entry = operator_entry('infix', operator, power)
+    entry.associativity = associativity || 'left'
+    return entry
+  }
+
+  function postfix(operator, power) {
+    return operator_entry('postfix', operator, power)
+  }
+
+  function operator_entry(kind, operator, power) {
+    let entry = { kind: kind, operator: operator, power: power, value_fn: (a => a) }
+    entry.as = function(user_value_fn) {
+      entry.value_fn = user_value_fn
+      return entry
+    }
+    return entry
+  }
+
+  // Combining the values works the same as for sequences, meaning that values
+  // which are `NO_VALUE` get left out.
+  function operator_value(entry, values) {
+    return entry.value_fn(values.filter(value => value !== NO_VALUE))
+  }
+
+  // Now for the parser itself. An expression starts with either a prefix
+  // operator followed by its operand, or a plain operand. After that we keep
+  // looking for postfix and infix operators, for as long as they bind more
+  // strongly than the least binding power we were given. For infix operators
+  // this means parsing the right hand side as an expression in its own right,
+  // holding only on to operators which bind more strongly than this one. Or,
+  // for right associative ones, just as strongly.
+  //
+  // (That's why, for right associativity, we lower the binding power by one.
+  // So do use whole numbers for binding powers.)
+  function operators(operand, table) {
+    let prefixes = table.filter(entry => entry.kind == 'prefix')
+    let infixes = table.filter(entry => entry.kind == 'infix')
+    let postfixes = table.filter(entry => entry.kind == 'postfix')
+
+    function start(stream) {
+      for (let entry of prefixes) {
+        let [after_operator, value_of_operator] = entry.operator(stream)
+        if (after_operator == NO_MATCH) continue
+
+        let [next, value] = expression(after_operator, entry.power)
+        if (next != NO_MATCH)
+          return [next, operator_value(entry, [value_of_operator, value])]
+      }
+
+      return operand(stream)
+    }
+
+    function expression(stream, least_power) {
+      let [next, left] = start(stream)
+      if (next == NO_MATCH) return [NO_MATCH, NO_VALUE]
+
+      let extended = true
+      while (extended) {
+        extended = false
+
+        for (let entry of postfixes) {
+          if (entry.power <= least_power) continue
+
+          let [after_operator, value] = entry.operator(next)
+          if (after_operator == NO_MATCH) continue
+
+          left = operator_value(entry, [left, value])
+          next = after_operator
+          extended = true
+          break
+        }
+        if (extended) continue
+
+        for (let entry of infixes) {
+          if (entry.power <= least_power) continue
+
+          let [after_operator, value] = entry.operator(next)
+          if (after_operator == NO_MATCH) continue
+
+          let right_power = entry.associativity == 'right' ? entry.power - 1 : entry.power
+          let [after_right, right] = expression(after_operator, right_power)
+          if (after_right == NO_MATCH) continue
+
+          left = operator_value(entry, [left, value, right])
+          next = after_right
+          extended = true
+          break
+        }
+      }
+
+      return [next, left]
+    }
+
+    return as_fluent_parser(stream => expression(stream, -Infinity), {
+      kind: 'operators',
+      children: [operand].concat(table.map(entry => entry.operator)),
+      table: table
+    })
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let number = is(x => x >= '0' && x <= '9').as(x => parseInt(x))
+
+    // Without any mapping we get a tree of lists.
+    let tree = operators(number, [
+      prefix(literal('-'), 70),
+      infix(literal('+'), 10),
+      infix(literal('-'), 10),
+      infix(literal('*'), 20),
+      infix(literal('^'), 30, 'right'),
+      postfix(literal('!'), 80)
+    ])
+
+    assert_that('1'      ).is_a_valid(tree).with_value(equal_to(1))
+    assert_that('1+2*3'  ).is_a_valid(tree).with_value(equal_to([1, '+', [2, '*', 3]]))
+    assert_that('1*2+3'  ).is_a_valid(tree).with_value(equal_to([[1, '*', 2], '+', 3]))
+    assert_that('1-2-3'  ).is_a_valid(tree).with_value(equal_to([[1, '-', 2], '-', 3]))
+    assert_that('1^2^3'  ).is_a_valid(tree).with_value(equal_to([1, '^', [2, '^', 3]]))
+    assert_that('-1^2'   ).is_a_valid(tree).with_value(equal_to([['-', 1], '^', 2]))
+    assert_that('--1'    ).is_a_valid(tree).with_value(equal_to(['-', ['-', 1]]))
+    assert_that('2*3!'   ).is_a_valid(tree).with_value(equal_to([2, '*', [3, '!']]))
+    assert_that('-3!'    ).is_a_valid(tree).with_value(equal_to(['-', [3, '!']]))
+    assert_that('1-2!*-3').is_a_valid(tree).with_value(equal_to([1, '-', [[2, '!'], '*', ['-', 3]]]))
+
+    assert_that('1+'  ).is_not_a_valid(tree)
+    assert_that('*1'  ).is_not_a_valid(tree)
+    assert_that('1+*2').is_not_a_valid(tree)
+
+    // Entries map their values just like parsers do. Here we calculate the
+    // result straight away.
+    let factorial = n => n <= 1 ? 1 : n * factorial(n - 1)
+    let calculation = operators(number, [
+      prefix(literal('-'), 70).as(([op, x]) => -x),
+      infix(literal('+'), 10).as(([a, op, b]) => a + b),
+      infix(literal('-'), 10).as(([a, op, b]) => a - b),
+      infix(literal('*'), 20).as(([a, op, b]) => a * b),
+      infix(literal('/'), 20).as(([a, op, b]) => a / b),
+      infix(literal('^'), 30, 'right').as(([a, op, b]) => Math.pow(a, b)),
+      postfix(literal('!'), 80).as(([x, op]) => factorial(x))
+    ])
+
+    assert_that('1+2*3'  ).is_a_valid(calculation).with_value(equal_to(7))
+    assert_that('8/4/2'  ).is_a_valid(calculation).with_value(equal_to(1))
+    assert_that('2^3^2'  ).is_a_valid(calculation).with_value(equal_to(512))
+    assert_that('-2^2'   ).is_a_valid(calculation).with_value(equal_to(4))
+    assert_that('3!-2*-1').is_a_valid(calculation).with_value(equal_to(8))
+
+    // The operand may itself refer to the expression, which gives us
+    // parenthesized sub-expressions.
+    let expr = to_be_defined()
+    let atom = choice(
+      sequence(literal('(').as(ignored_value), expr, literal(')').as(ignored_value)).as(first_value),
+      number
+    )
+    expr.define(operators(atom, [
+      infix(literal('+'), 10).as(([a, op, b]) => a + b),
+      infix(literal('*'), 20).as(([a, op, b]) => a * b)
+    ]))
+
+    assert_that('(1+2)*3'  ).is_a_valid(expr).with_value(equal_to(9))
+    assert_that('2*(3+(4))').is_a_valid(expr).with_value(equal_to(14))
+
+    // And the result is a parser like any other.
+    assert_that('1+1').is_a_valid(expr.as(x => 'two')).with_value(equal_to('two'))
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Lists, counts and chains
+  //
+  // Some patterns come up in nearly every grammar. Lists of things separated
+  // by commas. Statements each ended by a semicolon. Something between
+  // parentheses. We could build all of these out of `sequence` and `many`,
+  // but we'd have to dig the values we care about out of nested lists every
+  // single time. So here are some combinators which do that for us. They all
+  // return plain lists of the values we're after (leaving out `NO_VALUE`, as
+  // usual).
+  //
+  // First up: `many` insists on nothing, but often we need at least one. Or
+  // at least a few. Or exactly a few.
+  function count(n, parser) {
+    return as_fluent_parser(stream => {
+      let values = []
+      for (let i = 0; i < n; i++) {
+        let [next, value] = parser(stream)
+        if (next == NO_MATCH) return [NO_MATCH, NO_VALUE]
+        if (value !== NO_VALUE) values.push(value)
+        stream = next
+      }
+
+      return [stream, values]
+    }, { kind: 'count', count: n, children: [parser] })
+  }
+
+  function at_least(n, parser) {
+    let required = count(n, parser)
+    let more = many(parser)
+
+    return as_fluent_parser(stream => {
+      let [next, values] = required(stream)
+      if (next == NO_MATCH) return [NO_MATCH, NO_VALUE]
+
+      let [rest, more_values] = more(next)
+      return [rest, values.concat(more_values)]
+    }, { kind: 'at_least', count: n, children: [parser] })
+  }
+
+  function many1(parser) {
+    return at_least(1, parser)
+  }
+
+  // Next, separated lists. The separators don't end up in the value. Note that
+  // a separator must be followed by another element to count as part of the
+  // list. So a trailing separator is left in the stream for whatever comes
+  // next.
+  function sep_by1(parser, separator) {
+    return as_fluent_parser(stream => {
+      let [next, value] = parser(stream)
+      if (next == NO_MATCH) return [NO_MATCH, NO_VALUE]
+
+      let values = value === NO_VALUE ? [] : [value]
+      while (true) {
+        let [after_separator] = separator(next)
+        if (after_separator == NO_MATCH) break
+
+        let [after_element, element] = parser(after_separator)
+        if (after_element == NO_MATCH) break
+
+        if (element !== NO_VALUE) values.push(element)
+        next = after_element
+      }
+
+      return [next, values]
+    }, { kind: 'sep_by1', children: [parser, separator] })
+  }
+
+  function sep_by(parser, separator) {
+    let some = sep_by1(parser, separator)
+    return as_fluent_parser(stream => {
+      let [next, values] = some(stream)
+      if (next == NO_MATCH) return [stream, []]
+      else return [next, values]
+    }, { kind: 'sep_by', children: [parser, separator] })
+  }
+
+  // Lists where every element gets followed by a separator (or terminator,
+  // really), such as statements ending in a semicolon.
+  function end_by(parser, separator) {
+    return as_fluent_parser(
+      many(sequence(parser, as(separator, ignored_value)).as(first_value)),
+      { kind: 'end_by', children: [parser, separator] })
+  }
+
+  // Something between an opening and a closing, where we only care about the
+  // something.
+  function between(opening, closing, parser) {
+    return as_fluent_parser(stream => {
+      let [after_opening] = opening(stream)
+      if (after_opening == NO_MATCH) return [NO_MATCH, NO_VALUE]
+
+      let [after_inner, value] = parser(after_opening)
+      if (after_inner == NO_MATCH) return [NO_MATCH, NO_VALUE]
+
+      let [after_closing] = closing(after_inner)
+      if (after_closing == NO_MATCH) return [NO_MATCH, NO_VALUE]
+
+      return [after_closing, value]
+    }, { kind: 'between', children: [opening, parser, closing] })
+  }
+
+  // And finally chains: one or more elements separated by operators, where
+  // the operator parser returns a function for combining the elements on
+  // either side of it. Think `1-2-3`, where `-` gives us ``(a, b) => a - b``.
+  // The chain may combine its elements from the left, as in `(1-2)-3`, or
+  // from the right, as in `1^(2^3)`. For anything more involved you'll want
+  // [operator precedence](#operator-precedence).
+  function chainl1(parser, operator) {
+    return as_fluent_parser(stream => {
+      let [next, left] = parser(stream)
+      if (next == NO_MATCH) return [NO_MATCH, NO_VALUE]
+
+      while (true) {
+        let [after_operator, combine] = operator(next)
+        if (after_operator == NO_MATCH) break
+
+        let [after_right, right] = parser(after_operator)
+        if (after_right == NO_MATCH) break
+
+        left = combine(left, right)
+        next = after_right
+      }
+
+      return [next, left]
+    }, { kind: 'chainl1', children: [parser, operator] })
+  }
+
+  function chainr1(parser, operator) {
+    let chain = as_fluent_parser(stream => {
+      let [next, left] = parser(stream)
+      if (next == NO_MATCH) return [NO_MATCH, NO_VALUE]
+
+      let [after_operator, combine] = operator(next)
+      if (after_operator == NO_MATCH) return [next, left]
+
+      let [after_right, right] = chain(after_operator)
+      if (after_right == NO_MATCH) return [next, left]
+
+      return [after_right, combine(left, right)]
+    }, { kind: 'chainr1', children: [parser, operator] })
+
+    return chain
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let digit = is(x => x >= '0' && x <= '9').named('digit')
+    let comma = literal(',')
+
+    assert_that('12' ).is_a_valid(count(2, digit)).with_value(equal_to(['1', '2']))
+    assert_that('1'  ).is_not_a_valid(count(2, digit))
+    assert_that('123').is_not_a_valid(count(2, digit))
+    assert_that(''   ).is_a_valid(count(0, digit)).with_value(equal_to([]))
+
+    assert_that('12'  ).is_a_valid(at_least(2, digit)).with_value(equal_to(['1', '2']))
+    assert_that('1234').is_a_valid(at_least(2, digit)).with_value(equal_to(['1', '2', '3', '4']))
+    assert_that('1'   ).is_not_a_valid(at_least(2, digit))
+
+    assert_that('1'  ).is_a_valid(many1(digit)).with_value(equal_to(['1']))
+    assert_that('123').is_a_valid(many1(digit)).with_value(equal_to(['1', '2', '3']))
+    assert_that(''   ).is_not_a_valid(many1(digit))
+
+    assert_that('1,2,3').is_a_valid(sep_by1(digit, comma)).with_value(equal_to(['1', '2', '3']))
+    assert_that('1'    ).is_a_valid(sep_by1(digit, comma)).with_value(equal_to(['1']))
+    assert_that(''     ).is_not_a_valid(sep_by1(digit, comma))
+    assert_that('1,'   ).is_not_a_valid(sep_by1(digit, comma))
+    assert_that('1,,2' ).is_not_a_valid(sep_by1(digit, comma))
+
+    assert_that('1,2').is_a_valid(sep_by(digit, comma)).with_value(equal_to(['1', '2']))
+    assert_that(''   ).is_a_valid(sep_by(digit, comma)).with_value(equal_to([]))
+    assert_that(','  ).is_not_a_valid(sep_by(digit, comma))
+
+    // A trailing separator is left for someone else to deal with.
+    let trailing = sequence(sep_by(digit, comma), comma)
+    assert_that('1,2,').is_a_valid(trailing).with_value(equal_to([['1', '2'], ',']))
+
+    let statements = end_by(digit, literal(';'))
+    assert_that('1;2;').is_a_valid(statements).with_value(equal_to(['1', '2']))
+    assert_that(''    ).is_a_valid(statements).with_value(equal_to([]))
+    assert_that('1;2' ).is_not_a_valid(statements)
+
+    let parenthesized = between(literal('('), literal(')'), sep_by(digit, comma))
+    assert_that('(1,2)').is_a_valid(parenthesized).with_value(equal_to(['1', '2']))
+    assert_that('()'   ).is_a_valid(parenthesized).with_value(equal_to([]))
+    assert_that('(1,2' ).is_not_a_valid(parenthesized)
+
+    let number = is(x => x >= '0' && x <= '9').as(x => parseInt(x))
+    let minus = literal('-').as(constant_value((a, b) => a - b))
+    let power = literal('^').as(constant_value((a, b) => Math.pow(a, b)))
+
+    assert_that('7'    ).is_a_valid(chainl1(number, minus)).with_value(equal_to(7))
+    assert_that('7-2-1').is_a_valid(chainl1(number, minus)).with_value(equal_to(4))
+    assert_that('7-'   ).is_not_a_valid(chainl1(number, minus))
+
+    assert_that('2'    ).is_a_valid(chainr1(number, power)).with_value(equal_to(2))
+    assert_that('2^3^2').is_a_valid(chainr1(number, power)).with_value(equal_to(512))
+    assert_that('2^'   ).is_not_a_valid(chainr1(number, power))
+
+    // They combine into compact grammars, like this one for lists of lists.
+    let list = to_be_defined()
+    list.define(between(literal('['), literal(']'), sep_by(choice(number, list), comma)))
+    assert_that('[1,[2,3],[]]').is_a_valid(list).with_value(equal_to([1, [2, 3], []]))
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Keeping state
+  //
+  // We've seen how streams can [carry state](#streams-with-state). Parsers
+  // get at that state with these, none of which match anything. `get_state`
+  // gives us the state as its value. `set_state` moves on with the given
+  // state, and `update_state` with whatever the given function makes of the
+  // current one.
+  let get_state = as_fluent_parser(stream => [stream, stream.state], { kind: 'get_state' })
+
+  function set_state(state) {
+    return as_fluent_parser(stream => [stream.with_state(state), NO_VALUE],
+      { kind: 'set_state', state: state })
+  }
+
+  function update_state(update_fn) {
+    return as_fluent_parser(stream => [stream.with_state(update_fn(stream.state)), NO_VALUE],
+      { kind: 'update_state' })
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let letter = is(x => x >= 'a' && x <= 'z')
+    let counted = sequence(letter, update_state(n => (n || 0) + 1)).as(first_value)
+
+    // The state follows the stream along.
+    let [next, value] = sequence(many(counted), get_state)(new Stream(from_string('abc')))
+    assert(next.offset == 3 && next.state == 3)
+    equal_to([['a', 'b', 'c'], 3])(value)
+
+    // Streams start out with whatever state we give them.
+    ;[next, value] = sequence(counted, get_state)(new Stream(from_string('a')).with_state(41))
+    assert(value[1] == 42)
+
+    // Backtracking takes us back to the state we had. Here the first
+    // alternative counts two letters before failing, but the second one
+    // doesn't get to see that.
+    let backtracking = sequence(
+      choice(sequence(counted, counted, literal('!')), sequence(letter, letter)),
+      get_state)
+    ;[next, value] = backtracking(new Stream(from_string('ab')))
+    assert(next != NO_MATCH && value[1] === undefined)
+
+    // Streams with different states are different streams, values and
+    // positions aside.
+    let plain = new Stream(from_string('ab'))
+    let red = plain.with_state('red')
+    assert(red !== plain && red.head() == 'a' && red.offset == 0)
+    assert(red.tail().head() == 'b' && red.tail().state == 'red' && plain.tail().state === undefined)
+    assert(plain.with_state('red') === red && red.with_state(undefined) === plain)
+    assert(red.with_state('blue').plain === plain)
+
+    // Which means a memoized parser can do different things in different
+    // states, and still remember both.
+    let calls = 0
+    let choosy = memoized(sequence(get_state, letter).as(([state, x]) => { calls++; return state + x }))
+    let twice = sequence(choosy, set_state('blue'), choosy)
+    let input = new Stream(from_string('ab')).with_state('red')
+    ;[next, value] = twice(input)
+    equal_to(['reda', 'blueb'])(value)
+    assert(calls == 2)
+    assert(choosy(input)[1] == 'reda' && calls == 2)
+    assert(choosy(input.with_state('blue'))[1] == 'bluea' && calls == 3)
+
+    // `enclosed` hands the state to its inner parser, and takes back what
+    // that one made of it.
+    let box = sequence(enclosed(literal('['), many(counted), literal(']')), get_state)
+    ;[next, value] = box(new Stream(from_string('[xy]')).with_state(0))
+    assert(next != NO_MATCH && value[1] == 2)
+  }
+  // --------------------------------------------------------------------------
+
+  // ### Indentation
+  //
+  // With state in hand we can take on languages where layout matters, like
+  // Python or YAML. In those a block holds whatever is indented further than
+  // the line which opened it, and ends where the indentation drops back. This
+  // is known as the [offside rule](https://en.wikipedia.org/wiki/Off-side_rule).
+  //
+  // We keep a stack of indentation levels in the state, as its `indentation`,
+  // innermost level first. The state may hold other things as well; we leave
+  // those alone. The indentation of something is the column it starts at,
+  // counting from zero. On a stream of [tokens](#tokens) that's the column of
+  // the token in the text it came from. Tabs count as a single column.
+  //
+  // None of these parsers move. They look at where we are, so grammars using
+  // them should skip whitespace (line breaks included) *after* everything
+  // they match. That way we're always at the start of something when we look.
+  //
+  // - `indent` matches when we're further in than the current level. Where we
+  //   are becomes the new level.
+  // - `same_indent` matches when we're at the current level.
+  // - `dedent` matches when we're not as far in as the current level, or
+  //   when there's nothing left. We go back to the level we had before.
+  //
+  // Before anything gets indented the level is -1, so the first `indent` will
+  // match anywhere.
+  let levels_of = state => (state != null && state.indentation) || []
+  let level_of = state => levels_of(state).length > 0 ? levels_of(state)[0] : -1
+  let column_of = stream => start_of(stream).column - 1
+
+  // Going into a block and back out makes new states all the time, but most
+  // of them are equal to one we had before. A stream only finds its way back
+  // to the same state if it's the same object though, and otherwise keeps
+  // another stream, memo and all, for every copy. So we hand out one state
+  // for each stack of levels, per state we started from.
+  let NO_STATE = {}
+  let states_from = new WeakMap()
+  let started_from = new WeakMap()
+
+  let with_levels = (state, levels) => {
+    let origin = state == null ? NO_STATE : started_from.get(state) || state
+    if (!states_from.has(origin)) states_from.set(origin, new Map())
+
+    let states = states_from.get(origin)
+    let key = levels.join(' ')
+    if (!states.has(key)) {
+      let new_state = Object.assign({}, origin === NO_STATE ? undefined : origin, { indentation: levels })
+      started_from.set(new_state, origin)
+      states.set(key, new_state)
+    }
+    return states.get(key)
+  }
+
+  let indent = as_fluent_parser(stream => {
+    if (stream.head() == null || column_of(stream) <= level_of(stream.state)) {
+      stream.expected('more indentation')
+      return [NO_MATCH, NO_VALUE]
+    }
+
+    let levels = [column_of(stream)].concat(levels_of(stream.state))
+    return [stream.with_state(with_levels(stream.state, levels)), NO_VALUE]
+  }, { kind: 'indent' })
+
+  let same_indent = as_fluent_parser(stream => {
+    if (stream.head() == null || column_of(stream) != level_of(stream.state)) {
+      stream.expected('same indentation')
+      return [NO_MATCH, NO_VALUE]
+    }
+
+    return [stream, NO_VALUE]
+  }, { kind: 'same_indent' })
+
+  let dedent = as_fluent_parser(stream => {
+    if (stream.head() != null && column_of(stream) >= level_of(stream.state)) {
+      stream.expected('less indentation')
+      return [NO_MATCH, NO_VALUE]
+    }
+
+    let levels = levels_of(stream.state).slice(1)
+    return [stream.with_state(with_levels(stream.state, levels)), NO_VALUE]
+  }, { kind: 'dedent' })
+
+  // Put together, these give us blocks: one or more things, all at the same
+  // indentation, which is further in than what came before. The value is the
+  // list of their values.
+  function block(parser) {
+    return sequence(indent, many1(sequence(same_indent, parser).as(first_value)), dedent)
+      .as(first_value)
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    // A tiny language in the style of Python: names, and `if`s with a block
+    // of statements below them. Whitespace gets skipped after everything.
+    let ws = pattern(/[ \n]*/).as(ignored_value)
+    let lexeme = parser => sequence(parser, ws).as(first_value)
+    let keyword = word => lexeme(text(word)).as(ignored_value)
+    let name = lexeme(pattern(/[a-z]+/)).named('name')
+
+    let statement = to_be_defined()
+    statement.define(choice(
+      sequence(keyword('if'), name, keyword(':'), block(statement))
+        .as(([condition, body]) => ({ if: condition, then: body })),
+      name
+    ))
+    let program = sequence(ws, block(statement), at_end).as(first_value)
+
+    let source = [
+      'if a:',
+      '    b',
+      '    if c:',
+      '        d',
+      '        e',
+      'f',
+      'if g:',
+      '  h',
+      ''
+    ].join('\n')
+    assert_that(source).is_a_valid(program).with_value(value => assert.deepStrictEqual(value, [
+      { if: 'a', then: ['b', { if: 'c', then: ['d', 'e'] }] },
+      'f',
+      { if: 'g', then: ['h'] }
+    ]))
+
+    // Where the first block starts is up to the text.
+    assert_that('\n  a\n  b').is_a_valid(program).with_value(equal_to(['a', 'b']))
+
+    // When layout goes wrong, we get told where.
+    let failure_for = text => {
+      let input = new Stream(from_string(text))
+      program(input)
+      return input.failure().message
+    }
+    assert(failure_for('if a:\nb') == 'line 2, col 1: expected more indentation')
+    assert(failure_for('a\n  b') == 'line 2, col 3: expected one of same indentation, less indentation')
+    assert(failure_for('if a:\n    b\n  c') == 'line 3, col 3: expected one of same indentation, less indentation')
+
+    // Other things in the state are left alone, and the levels are back to
+    // what they were after a block.
+    let tagged = sequence(block(name), get_state).as(([names, state]) => state)
+    let [next, value] = tagged(new Stream(from_string('a\nb')).with_state({ tag: 'x' }))
+    assert(next != NO_MATCH)
+    assert.deepStrictEqual(value, { tag: 'x', indentation: [] })
+
+    // Equal levels make for the same state, so we get back to the same
+    // stream, along with whatever it remembered.
+    let start = new Stream(from_string('a')).with_state({ tag: 'x' })
+    let [indented] = indent(start)
+    assert(indent(start)[0] === indented)
+    assert(dedent(indented.tail())[0] === dedent(start.tail())[0])
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Describing parsers
+  //
+  // Parsers are functions, and functions are opaque. Once we have put a
+  // grammar together we can run it, but we can't really look at it. Which
+  // is a shame, as there's plenty we might want to do with it: print it for
+  // documentation, draw it, review it for mistakes, ...
+  //
+  // That's why every combinator we've seen hands a description of itself to
+  // `as_fluent_parser`. A description has a `kind`, which is the name of the
+  // combinator (`'sequence'`, `'many'`, ...), and a list of `children`, the
+  // parsers it was built from. Some kinds hold on to a little more: `'text'`
+  // has its `text`, `'literal'` its `value`, `'count'` and `'at_least'` their
+  // `count`, and so on. A parser which was given a name has that as `name`.
+  //
+  // Note that rules made with `to_be_defined` will end up among their own
+  // children if they're recursive. So anyone walking these descriptions will
+  // have to keep track of where they've been.
+  //
+  // Parsers which did not come from our combinators don't have a description.
+  // For those we make one up, so nobody has to check.
+  function description_of(parser) {
+    return parser.description || { kind: 'custom', children: [] }
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let digit = is(x => x >= '0' && x <= '9').named('digit')
+    let number = many1(digit).as(joined_value)
+
+    let d = description_of(sequence(literal('-'), number).named('negative'))
+    assert(d.kind == 'sequence' && d.name == 'negative' && d.children.length == 2)
+    assert(description_of(d.children[0]).kind == 'literal')
+    assert(description_of(d.children[0]).value == '-')
+    assert(description_of(d.children[1]).kind == 'at_least')
+    assert(description_of(d.children[1]).count == 1)
+    assert(description_of(d.children[1]).children[0] === digit)
+    assert(description_of(digit).name == 'digit')
+    assert(description_of(number).mapping === joined_value)
+
+    assert(description_of(text('let')).text == 'let')
+    assert(description_of(empty).kind == 'empty')
+    assert(description_of(stream => [stream, NO_VALUE]).kind == 'custom')
+
+    let list = to_be_defined()
+    let items = between(literal('('), literal(')'), many(choice(digit, list)))
+    list.define(items)
+    assert(description_of(list).kind == 'rule')
+    assert(description_of(list).children[0] === items)
+    assert(description_of(description_of(items).children[1]).kind == 'many')
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Tracing parsers
+  //
+  // When a grammar misbehaves it's not always clear why. Which alternative
+  // of that `choice` won ? Where did that `many` stop ? We could add some
+  // logging to our mappings, but that gets old fast. Instead we'll have our
+  // parsers tell us themselves.
+  //
+  // Tracing is something we turn on for a single parse. While it's on, every
+  // parser made with `as_fluent_parser` notes that it was called, where it
+  // started, whether it matched, and if so what it matched and where it
+  // ended. Calls made while another one is still going on get noted as part
+  // of that call. So we end up with a tree of calls, which we can look at as
+  // is, print as an indented tree, or dump as JSON.
+  //
+  // As with `assert_that`, we accept strings as input and turn them into a
+  // stream ourselves. The result of the parse itself is there as well.
+  function trace(parser, input) {
+    if (typeof input === 'string' || input instanceof String)
+      input = new Stream(from_string(input))
+
+    let source = input.source
+    let outer = source.tracing
+    let tracing = { calls: [], open: [] }
+
+    let result
+    source.tracing = tracing
+    try { result = parser(input) }
+    finally { source.tracing = outer }
+
+    return {
+      result: result,
+      calls: tracing.calls,
+      tree: () => tracing.calls.map(call => tree_of(call, '', source.is_text)).join(''),
+      json: () => JSON.stringify(tracing.calls, null, 2)
+    }
+  }
+
+  // This is what a parser does when it's being traced. Whatever happens, we
+  // leave the stack of open calls the way we found it; even if something got
+  // thrown, such as a request for more input. A call which did not finish
+  // keeps that as its outcome.
+  function traced_call(stream, description, parser) {
+    let tracing = stream.source.tracing
+    let call = { parser: label_of(description), start: stream.position(), outcome: 'unfinished', calls: [] }
+
+    let open = tracing.open
+    if (open.length == 0) tracing.calls.push(call)
+    else open[open.length - 1].calls.push(call)
+
+    open.push(call)
+    try {
+      let [next, value] = parser(stream)
+      if (next == NO_MATCH)
+        call.outcome = 'failed'
+      else {
+        call.outcome = 'matched'
+        call.end = next.position()
+        call.matched = values_between(stream, next)
+      }
+      return [next, value]
+    } finally {
+      open.pop()
+    }
+  }
+
+  // Parsers are labelled by their name, if they have one, or by their kind,
+  // with a little detail for those which match something specific.
+  function label_of(description) {
+    if (description.name !== undefined) return description.name
+
+    switch (description.kind) {
+      case 'literal':
+      case 'is':
+      case 'token':
+        return description.expected === undefined ? description.kind
+          : description.kind + ' ' + description.expected
+      case 'text':     return 'text ' + describe(description.text)
+      case 'pattern':  return 'pattern ' + description.pattern
+      case 'count':
+      case 'at_least': return description.kind + ' ' + description.count
+      default:         return description.kind
+    }
+  }
+
+  // What a call matched is the values between where it started and where it
+  // ended. For text we join those back up.
+  function values_between(stream, next) {
+    let values = []
+    for (; stream !== null && stream.offset < next.offset; stream = stream.tail())
+      values.push(stream.head())
+    return stream === null || !stream.source.is_text ? values : values.join('')
+  }
+
+  // In the tree every call gets a line of its own, with the calls it made
+  // indented below it.
+  function tree_of(call, indent, is_text) {
+    let where = position => is_text
+      ? 'line ' + position.line + ', col ' + position.column
+      : 'offset ' + position.offset
+
+    let outcome = call.outcome == 'failed' ? 'failed'
+      : call.outcome == 'unfinished' ? 'did not finish'
+      : call.matched.length == 0 ? 'matched nothing'
+      : 'matched ' + (is_text ? describe(call.matched) : call.matched.length + ' values')
+        + ', up to ' + where(call.end)
+
+    return indent + call.parser + ' at ' + where(call.start) + ': ' + outcome + '\n'
+      + call.calls.map(inner => tree_of(inner, indent + '  ', is_text)).join('')
+  }
+
+  // --------------------------------------------------------------------------
+  // **Test**
+  //
+  {
+    let digit = is(x => x >= '0' && x <= '9').named('digit')
+    let number = many1(digit)
+    let sign = choice(literal('+'), literal('-'))
+    let signed = sequence(optional(sign), number)
+
+    let traced = trace(signed, '-12')
+    assert(traced.result[0] != NO_MATCH)
+    assert.equal(traced.tree(), [
+      "sequence at line 1, col 1: matched '-12', up to line 1, col 4",
+      "  optional at line 1, col 1: matched '-', up to line 1, col 2",
+      "    choice at line 1, col 1: matched '-', up to line 1, col 2",
+      "      literal '+' at line 1, col 1: failed",
+      "      literal '-' at line 1, col 1: matched '-', up to line 1, col 2",
+      "  at_least 1 at line 1, col 2: matched '12', up to line 1, col 4",
+      "    count 1 at line 1, col 2: matched '1', up to line 1, col 3",
+      "      digit at line 1, col 2: matched '1', up to line 1, col 3",
+      "    many at line 1, col 3: matched '2', up to line 1, col 4",
+      "      digit at line 1, col 3: matched '2', up to line 1, col 4",
+      "      digit at line 1, col 4: failed",
+      ""
+    ].join('\n'))
+
+    // The JSON has the same calls, with positions in full.
+    let calls = JSON.parse(traced.json())
+    assert(calls.length == 1 && calls[0].parser == 'sequence')
+    assert.deepEqual(calls[0].calls[1].start, { offset: 1, line: 1, column: 2 })
+    assert(calls[0].calls[1].matched == '12')
+
+    // Failures are traced too. And once the trace is done, we're done
+    // tracing.
+    let failed = trace(signed, 'x')
+    assert(failed.result[0] == NO_MATCH)
+    assert(failed.calls[0].outcome == 'failed')
+    assert(failed.calls[0].calls[0].outcome == 'matched')
+    assert(failed.calls[0].calls[0].matched == '')
+
+    let input = new Stream(from_string('1'))
+    trace(number, input)
+    assert(input.source.tracing === undefined)
+
+    // Other streams are traced by offset.
+    let list = trace(many(literal(1)), new Stream(from_list([1, 1, 2])))
+    assert(list.tree().startsWith('many at offset 0: matched 2 values, up to offset 2\n'))
+  }
+  // --------------------------------------------------------------------------
+
+  // ## Mapping values
+  //
+  // At this point we have all the pieces to construct useful parsers, and we
+  // get some raw data from them. However, that data might require some extra
+  // steps to become useful. For instance, it might make sense to join
+  // individual characters into one big string:
+  function joined_value(xs) { return xs.join('') }
+
+  // Where we can, we note how to undo a mapping. Joined characters can be
+  // split up again, for instance.
+  joined_value.reverse = text => text.split('')
+
+  // Maybe we want to first value from a list:
+  function first_value(xs) { return xs[0] }
+  first_value.reverse = x => [x]
+
+  // Maybe we want a fixed value. That can't be undone, as any value will do.
+  // But we do note which value it was.
+  function constant_value(c) {
+    let constant = x => c
+    constant.constant = c
+    return constant
+  }
 
   // Or none at all:
   function ignored_value(x) { return undefined }
@@ -798,6 +4011,7 @@ define([], function () {
   // We can then use that to create a function which returns the integer value
   // represented by a series of (assumed numeric) characters:
   let int_value = piped(joined_value, parseInt)
+  int_value.reverse = n => String(n).split('')
 
   // ## Wrapping up
   //
@@ -821,9 +4035,62 @@ define([], function () {
     at_end: at_end,
     not: not,
     to_be_defined: to_be_defined,
+    memoized: memoized,
     skip_to: skip_to,
+    commit: commit,
+    recover: recover,
     enclosed: enclosed,
     empty: empty,
+    text: text,
+    pattern: pattern,
+    lexer: lexer,
+    token: token,
+    located: located,
+    label: label,
+    fields: fields,
+    Node: Node,
+    node: node,
+    visit: visit,
+    transform: transform,
+    from_buffer: from_buffer,
+    u8: u8,
+    i8: i8,
+    u16: u16,
+    i16: i16,
+    u32: u32,
+    i32: i32,
+    f32: f32,
+    f64: f64,
+    bytes: bytes,
+    bits: bits,
+    prefixed: prefixed,
+    from_chunks: from_chunks,
+    when_parsed: when_parsed,
+    provided: provided,
+    each: each,
+    NEED_MORE: NEED_MORE,
+    operators: operators,
+    prefix: prefix,
+    infix: infix,
+    postfix: postfix,
+    count: count,
+    at_least: at_least,
+    many1: many1,
+    sep_by: sep_by,
+    sep_by1: sep_by1,
+    end_by: end_by,
+    between: between,
+    chainl1: chainl1,
+    chainr1: chainr1,
+    get_state: get_state,
+    set_state: set_state,
+    update_state: update_state,
+    indent: indent,
+    same_indent: same_indent,
+    dedent: dedent,
+    block: block,
+    description_of: description_of,
+    trace: trace,
     
     constant_value: constant_value,
     joined_value: joined_value,
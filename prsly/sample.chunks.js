@@ -0,0 +1,110 @@
+// # Example - Parsing input as it arrives
+//
+// This example goes through the ways of feeding a parser input a chunk at a
+// time. As that means waiting for the chunks, it can't be part of the tests
+// in prsly itself, which all run while the module loads.
+
+const assert = require('assert')
+const { Readable } = require('stream')
+const requirejs = require('requirejs')
+requirejs(['prsly', 'prsly-peg'], function(_, peg) {
+
+  // We'll have the chunks arrive one by one, waiting a bit in between.
+  async function* arriving(...chunks) {
+    for (const chunk of chunks) {
+      await new Promise(resolve => setImmediate(resolve))
+      yield chunk
+    }
+  }
+
+  const letter = _.is(x => x >= 'a' && x <= 'z')
+  const word = _.sequence(letter, _.many(letter))
+    .as(_.piped(_.flattened_value, _.joined_value))
+  const greeting = _.sequence(word, _.text(', '), word, _.literal('!'))
+    .as(([hello, comma, world]) => hello + ' ' + world)
+  const line = _.sequence(word, _.literal('\n')).as(_.first_value)
+
+  async function run() {
+    // A single parse may span several chunks.
+    let stream = new _.Stream(_.from_chunks(arriving('hel', 'lo, w', 'orld!')))
+    let [next, value] = await _.when_parsed(greeting, stream)
+    assert(next != _.NO_MATCH && value == 'hello world')
+    assert((await _.when_parsed(_.at_end, next))[0] != _.NO_MATCH)
+    console.log('greeting: ', value)
+
+    // Failures get reported as usual, lines and columns included.
+    stream = new _.Stream(_.from_chunks(arriving('hello,\n', 'world!')))
+    ;[next, value] = await _.when_parsed(greeting, stream)
+    assert(next == _.NO_MATCH)
+    assert.equal(stream.failure().message, "line 1, col 6: expected ', '")
+
+    // Chunks may also be bytes, even when a character is split across them.
+    const bytes = Buffer.from('café, olé!')
+    stream = new _.Stream(_.from_chunks(arriving(bytes.subarray(0, 4), bytes.subarray(4))))
+    ;[next, value] = await _.when_parsed(
+      _.sequence(_.many(_.is(x => x != '!')), _.literal('!')), stream)
+    assert(next != _.NO_MATCH)
+    assert.equal(value[0].join(''), 'café, olé')
+
+    // Now for many lines, handed out one at a time as they get parsed.
+    let lines = []
+    for await (const l of _.each(line, arriving('one\ntw', 'o\n', '', 'three\n')))
+      lines.push(l)
+    assert.deepStrictEqual(lines, ['one', 'two', 'three'])
+
+    // Node.js streams work as well.
+    lines = []
+    for await (const l of _.each(line, Readable.from(['alpha\nbe', 'ta\n'])))
+      lines.push(l)
+    assert.deepStrictEqual(lines, ['alpha', 'beta'])
+    console.log('lines: ', lines)
+
+    // Patterns read ahead in the text as it arrives, so they work here too.
+    const setting = _.sequence(
+      _.pattern(/[a-z]+/), _.text(' = ').as(_.ignored_value), _.pattern(/[0-9]+/), _.literal('\n')
+    ).as(([key, value]) => key + '=' + value)
+    const settings = []
+    for await (const s of _.each(setting, arriving('ab', 'c = 1', '2\nd = ', '3\n')))
+      settings.push(s)
+    assert.deepStrictEqual(settings, ['abc=12', 'd=3'])
+
+    // Even patterns which may match line breaks only read ahead as far as
+    // they need to: the first word is in before the last chunk gets pulled.
+    let pulled = 0
+    async function* counted(...chunks) {
+      for await (const chunk of arriving(...chunks)) {
+        pulled++
+        yield chunk
+      }
+    }
+    const spaced = _.pattern(/\s*[a-z]+/).as(w => w.trim())
+    const words = []
+    for await (const w of _.each(spaced, counted('one\n', ' two', '\nthree'))) {
+      if (words.length == 0) assert(pulled < 3)
+      words.push(w)
+    }
+    assert.deepStrictEqual(words, ['one', 'two', 'three'])
+
+    // While a match which runs on into the next chunk waits for it.
+    const quoted = []
+    for await (const q of _.each(_.pattern(/"[^"]*"\s*/), arriving('"a\n', 'b" "c"', ' "d', '"')))
+      quoted.push(q)
+    assert.deepStrictEqual(quoted, ['"a\nb" ', '"c" ', '"d"'])
+
+    // Which includes grammars, which are full of them.
+    stream = new _.Stream(_.from_chunks(arriving('list <- "[" it', 'em* "]"\nitem <- [a-z]+\n')))
+    ;[next, value] = await _.when_parsed(peg.grammar, stream)
+    assert(next != _.NO_MATCH)
+    assert.deepStrictEqual(value.map(rule => rule.name), ['list', 'item'])
+    console.log('rules: ', value.map(rule => rule.name))
+
+    // And a line we can't parse tells us where it went wrong.
+    await assert.rejects(
+      async () => { for await (const l of _.each(line, arriving('one\nt', 'w0\n'))) {} },
+      error => error.message == "line 2, col 3: expected '\\n'"
+    )
+  }
+
+  // A failed assertion rejects, which ends the run with an error.
+  run().then(() => console.log('done'))
+})
@@ -0,0 +1,78 @@
+// # Example - Editing a configuration file
+//
+// This example reads a configuration file, changes a setting, and writes it
+// back, using the same grammar both ways.
+
+const assert = require('assert')
+const requirejs = require('requirejs')
+requirejs(['prsly', 'prsly-print'], function(_, print) {
+
+  // The file has sections, which hold settings. Settings are numbers, yes or
+  // no, or quoted text:
+  //
+  //     [server]
+  //     port = 8080
+  //     verbose = no
+  //
+  // Whitespace mostly doesn't matter, and we ignore it. We do keep a separate
+  // parser for each place where it may appear, as we'll want to print each of
+  // them differently.
+  const whitespace = () => _.pattern(/\s*/).as(_.ignored_value)
+  const [before_setting, between_sections, at_start, at_end] =
+    [whitespace(), whitespace(), whitespace(), whitespace()]
+  const equals = _.sequence(_.pattern(/[ \t]*/), _.text('='), _.pattern(/[ \t]*/))
+    .as(_.ignored_value)
+
+  const name = _.pattern(/[a-z_]+/)
+
+  // Values which get mapped need a way back, which is the second argument to
+  // `as`. `constant_value` doesn't need one, as the printer can tell which
+  // constant came from where.
+  const value = _.choice(
+    _.pattern(/[0-9]+/).as(parseInt, String),
+    _.text('yes').as(_.constant_value(true)),
+    _.text('no').as(_.constant_value(false)),
+    _.pattern(/"([^"]*)"/).as(([all, text]) => text, text => ['"' + text + '"', text])
+  )
+
+  const setting = _.sequence(before_setting, name, equals, value)
+  const header = _.sequence(_.text('['), name, _.text(']'))
+    .as(([open, name, close]) => name, name => ['[', name, ']'])
+  const section = _.sequence(header, _.many(setting))
+    .as(([name, settings]) => ({ name: name, settings: new Map(settings) }),
+        ({ name, settings }) => [name, Array.from(settings)])
+
+  const file = _.sequence(at_start, _.sep_by(section, between_sections), at_end)
+    .as(_.first_value)
+
+  // Here's the file as we found it.
+  const original = `
+[server]
+port   =  8080
+verbose=no
+[site]
+
+
+title = "Parsers"
+`
+  const [rest, sections] = file(new _.Stream(_.from_string(original)))
+  assert(rest != _.NO_MATCH && rest.head() == null)
+
+  // We change a setting, and add one.
+  sections[0].settings.set('port', 9090)
+  sections[1].settings.set('public', true)
+
+  // To print it neatly we say what the whitespace we ignored should look
+  // like: nothing at the start, a newline before every setting and at the
+  // end, blank lines between sections, and spaces around the equals sign.
+  const printed = print.printer(file, new Map([
+    [at_start, ''],
+    [before_setting, '\n'],
+    [between_sections, '\n\n'],
+    [at_end, '\n'],
+    [equals, ' = ']
+  ]))(sections)
+
+  console.log(printed)
+  assert.equal(printed, '[server]\nport = 9090\nverbose = no\n\n[site]\ntitle = "Parsers"\npublic = yes\n')
+})
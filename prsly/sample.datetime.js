@@ -4,13 +4,15 @@
 
 const assert = require('assert')
 const requirejs = require('requirejs')
-requirejs(['prsly'], function(_) {
+requirejs(['prsly', 'prsly-fuzz'], function(_, fuzz) {
 
   // Given that we're parsing strings the basic units which we'll need to be
   // able to match are individual characters. The following function generates 
-  // such single character parsers.
+  // such single character parsers. We name them after the character, so that
+  // failures can tell us what was expected.
   function c(character) {
     return _.is(function(value) { return value == character })
+      .named("'" + character + "'")
   }
 
   // Apart from specific characters, we can also add support for recognizing 
@@ -20,7 +22,7 @@ requirejs(['prsly'], function(_) {
   }
 
   // Based on that we can describe what a digit is:
-  const digit = r('0', '9')
+  const digit = r('0', '9').named('digit')
 
   // One extremely useful side effect of the parser combinator approach is that
   // we can easily unit test these individual building blocks. This can make
@@ -48,12 +50,11 @@ requirejs(['prsly'], function(_) {
   _.assert_that('  x  ').is_not_a_valid(whitespace)
 
   // The following generates parsers to match a given string (or 'literal') 
-  // exactly. It does this by creating a parser for each character in the 
-  // literal, and combining them in a sequence.
+  // exactly. We could do this by creating a parser for each character in the 
+  // literal, and combining them in a sequence. But as we're parsing text we
+  // can let prsly match the whole string in one go.
   function l(literal) {
-    return _.sequence.apply(null, 
-      literal.split('').map(function(character) { return c(character) })
-    )
+    return _.text(literal)
   }
 
   // We'll use that to define a parser which accepts all names of the months
@@ -71,7 +72,7 @@ requirejs(['prsly'], function(_) {
     l('October'  ).as(_.constant_value(10)), 
     l('November' ).as(_.constant_value(11)), 
     l('December' ).as(_.constant_value(12))
-  )
+  ).named('month')
 
   _.assert_that('January' ).is_a_valid(month).with_value(_.equal_to(1))
   _.assert_that('June'    ).is_a_valid(month).with_value(_.equal_to(6))
@@ -138,4 +139,28 @@ requirejs(['prsly'], function(_) {
       assert(d.day == 17 && d.month == 8 && d.year == 2014)
       assert(t.hours == 12 && t.minutes == 12 && t.seconds == 12)
     })
+
+  // And when things go wrong, the stream we started from can tell us where
+  // and why.
+  const input = new _.Stream(_.from_string('August 17, 2014 12h12'))
+  const [rest, value] = date_time(input)
+  assert(rest == _.NO_MATCH)
+  console.log('failure: ', input.failure().message)
+  assert(input.failure().message == "line 1, col 19: expected ':'")
+
+  // Examples only get us so far. To be really sure we let prsly make up a
+  // thousand datetimes, and check that printing their values gets us text
+  // which parses into the same values. We need a printer for that.
+  const months = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December']
+  const padded = (n, width) => String(n).padStart(width, '0')
+  function print([d, t]) {
+    return months[d.month - 1] + ' ' + d.day + ', ' + padded(d.year, 4) + ' '
+      + padded(t.hours, 2) + ':' + padded(t.minutes, 2)
+      + (t.seconds === undefined ? '' : ':' + padded(t.seconds, 2))
+  }
+
+  const checked = fuzz.round_trip(date_time, print, { count: 1000, seed: 2014 })
+  console.log('round trips: ', checked)
+  assert(checked == 1000)
 })
\ No newline at end of file
@@ -0,0 +1,68 @@
+// # Example - Parsing a log as it gets read
+//
+// This example parses log entries from a stream of chunks, handing out each
+// entry as soon as it has been parsed.
+
+const assert = require('assert')
+const { Readable } = require('stream')
+const requirejs = require('requirejs')
+requirejs(['prsly'], function(_) {
+
+  // A log entry looks like this:
+  //
+  //     2014-08-17 12:12:12 ERROR Something went wrong.
+  //
+  // We're not interested in the exact date and time here, so we'll take those
+  // as they are.
+  const c = character => _.literal(character)
+  const digit = _.is(x => x >= '0' && x <= '9').named('digit')
+  const digits = n => _.sequence(...Array(n).fill(digit)).as(_.joined_value)
+
+  const date = _.sequence(digits(4), c('-'), digits(2), c('-'), digits(2))
+    .as(_.joined_value)
+  const time = _.sequence(digits(2), c(':'), digits(2), c(':'), digits(2))
+    .as(_.joined_value)
+
+  const level = _.choice(_.text('INFO'), _.text('WARN'), _.text('ERROR'))
+    .named('log level')
+  const message = _.many(_.is(x => x != '\n')).as(_.joined_value)
+
+  const space = c(' ').as(_.ignored_value)
+  const entry = _.sequence(date, space, time, space, level, space, message, c('\n'))
+    .as(([date, time, level, message]) => ({
+      date: date,
+      time: time,
+      level: level,
+      message: message
+    }))
+
+  // Rather than reading a real file we'll make one up as we go. Imagine this
+  // is a `fs.createReadStream(...)`. Note how chunks don't care about where
+  // lines start and end.
+  const entries = 10000
+  function* made_up_log() {
+    let chunk = ''
+    for (let i = 0; i < entries; i++) {
+      const level = i % 100 == 0 ? 'ERROR' : i % 10 == 0 ? 'WARN' : 'INFO'
+      chunk += '2014-08-17 12:12:12 ' + level + ' Entry number ' + i + '.\n'
+      if (chunk.length > 1000) {
+        yield chunk.substring(0, 1000)
+        chunk = chunk.substring(1000)
+      }
+    }
+    yield chunk
+  }
+
+  // Now we go through the entries one by one, counting log levels as we go.
+  async function count_levels() {
+    const counts = { INFO: 0, WARN: 0, ERROR: 0 }
+    for await (const e of _.each(entry, Readable.from(made_up_log())))
+      counts[e.level]++
+    return counts
+  }
+
+  count_levels().then(counts => {
+    console.log('log levels: ', counts)
+    assert(counts.ERROR == 100 && counts.WARN == 900 && counts.INFO == 9000)
+  })
+})
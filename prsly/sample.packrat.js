@@ -0,0 +1,46 @@
+// # Example - Packrat parsing
+//
+// This example shows what memoization can do for a grammar which backtracks
+// a lot.
+
+const assert = require('assert')
+const requirejs = require('requirejs')
+requirejs(['prsly'], function(_) {
+
+  const c = character => _.literal(character)
+
+  // We'll be parsing nested parentheses again, but this time with a twist: a
+  // closing parenthesis may be followed by an exclamation mark. The grammar
+  // tries that option first, and only if it fails does it try the plain
+  // version. Which means that, on failure, the whole nested expression gets
+  // parsed again. At every level of nesting.
+  function nested(remember) {
+    const expr = _.to_be_defined()
+    const body = _.choice(
+      _.sequence(c('('), expr, c(')'), c('!')),
+      _.sequence(c('('), expr, c(')')),
+      c('x')
+    )
+    expr.define(remember ? _.memoized(body) : body)
+    return expr
+  }
+
+  // So for every extra level of nesting the work doubles.
+  const depth = 18
+  const input = '('.repeat(depth) + 'x' + ')'.repeat(depth)
+
+  // We time a full parse, making sure it actually succeeds.
+  function time(label, parser) {
+    const start = Date.now()
+    _.assert_that(input).is_a_valid(parser)
+    const elapsed = Date.now() - start
+    console.log(label + ': ' + elapsed + 'ms')
+    return elapsed
+  }
+
+  // Let's see the difference. With memoization the inner expressions only get
+  // parsed once, no matter how often we backtrack over them.
+  const plain = time('plain   ', nested(false))
+  const packrat = time('memoized', nested(true))
+  assert(packrat <= plain)
+})
@@ -0,0 +1,66 @@
+// # Example - Waiting for values
+//
+// This example checks names against a symbol table which takes its time
+// answering, the way a database would. As that means waiting for answers, it
+// can't be part of the tests in prsly itself, which all run while the module
+// loads.
+
+const assert = require('assert')
+const requirejs = require('requirejs')
+requirejs(['prsly'], function(_) {
+
+  // A symbol table which takes its time answering.
+  let lookups = 0
+  const declared = name => new Promise(resolve => setImmediate(() => {
+    lookups++
+    resolve(['x', 'y'].includes(name))
+  }))
+
+  const name = _.pattern(/[a-z]+/).named('name')
+  const comma = _.text(',').as(_.ignored_value)
+  const names = _.sequence(_.sep_by1(_.provided(name, declared, 'a declared name'), comma), _.at_end)
+    .as(_.first_value)
+
+  async function run() {
+    // Each name gets looked up once, however often we start over.
+    let [next, value] = await _.when_parsed(names, new _.Stream(_.from_string('x,y,x')))
+    assert(next != _.NO_MATCH)
+    assert.deepStrictEqual(value, ['x', 'y', 'x'])
+    assert.equal(lookups, 3)
+    console.log('names: ', value)
+
+    // Failing a test fails the parser, as usual.
+    const input = new _.Stream(_.from_string('x,z'))
+    ;[next, value] = await _.when_parsed(names, input)
+    assert(next == _.NO_MATCH)
+    assert.equal(input.failure().message, 'line 1, col 3: expected a declared name')
+
+    // Values may be waited for too, and everything after sees what they
+    // resolved to.
+    const upper = _.pattern(/[a-z]+/).as(async x => x.toUpperCase())
+    const pair = _.sequence(upper, _.text('=').as(_.ignored_value), upper)
+      .as(([a, b]) => a + ':' + b)
+    ;[next, value] = await _.when_parsed(pair, new _.Stream(_.from_string('a=b')))
+    assert.equal(value, 'A:B')
+    console.log('pair: ', value)
+
+    // Outside of `when_parsed` we get the promise itself.
+    ;[next, value] = upper(new _.Stream(_.from_string('a')))
+    assert(value instanceof Promise && await value == 'A')
+
+    // Promises which fail make the whole parse fail.
+    const broken = _.pattern(/[a-z]+/).as(x => Promise.reject(new Error('no database')))
+    await assert.rejects(_.when_parsed(broken, new _.Stream(_.from_string('a'))), /no database/)
+
+    // And this works along with input arriving in chunks.
+    const letters = _.many1(_.is(x => x >= 'a' && x <= 'z')).as(_.joined_value)
+    const chunked_names = _.sequence(_.sep_by1(_.provided(letters, declared), comma), _.at_end)
+      .as(_.first_value)
+    const chunks = async function* () { yield 'x,'; yield 'y' }
+    ;[next, value] = await _.when_parsed(chunked_names, new _.Stream(_.from_chunks(chunks())))
+    assert.deepStrictEqual(value, ['x', 'y'])
+  }
+
+  // A failed assertion rejects, which ends the run with an error.
+  run().then(() => console.log('done'))
+})
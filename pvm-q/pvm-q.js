@@ -25,6 +25,7 @@ define(['q'], function (Q) {
     this.id = id
     this.fn = fn || NOP
     this.transitions = []
+    this.joining = null
   }
 
   // Tasks should be created by asking the process definition for a named task.
@@ -78,11 +79,29 @@ define(['q'], function (Q) {
   // 'start'. But this can be overridden by specifying the start state as an
   // argument. This also allows us to model process which can have many
   // different starting points.
-  function Process(process_definition, initial_state, initial_task) {
+  //
+  // (The rest is for processes which run along [parallel
+  // paths](#parallel-paths), and for keeping an eye on [process
+  // instances](#process-instances).)
+  function Process(process_definition, initial_state, initial_task, id) {
+    this.id = id || unique_id()
     this.process = process_definition
     this.state = initial_state || {}
     this.task = process_definition.tasks[initial_task || 'start']
     this.deferred = Q.defer()
+
+    this.parent = null
+    this.local = false
+    this.branches = null
+    this.arrived = false
+    this.joined = false
+    this.dropped = false
+
+    this.suspended = false
+    this.parked = []
+    this.cancelled = false
+    this.failed = false
+    this.error = null
   }
 
   // So now we come down to the overall execution logic. The engine needs to
@@ -116,8 +135,24 @@ define(['q'], function (Q) {
   function tick() {
     if (processes.length == 0) return
     
-    // We fetch the first process and task from the queue.
+    // We fetch the first process from the queue, and have it take a step.
+    // Unless it's a branch of a process which no longer needs it, or a branch
+    // which has reached a join. We'll get to those when we get to [parallel
+    // paths](#parallel-paths). Or unless it got [suspended](#process-instances),
+    // in which case it gets put aside until it's resumed.
     var p = processes.shift()
+
+    if (p.dropped) {}
+    else if (root_of(p).suspended) root_of(p).parked.push(p)
+    else if (p.task.joining && p.parent && !p.joined) arrive(p)
+    else step(p)
+
+    // If there are more processes awaiting execution we schedule another run
+    // of our executor.
+    if (!processes.length == 0) setImmediate(tick)
+  }
+
+  function step(p) {
     var task = p.task
 
     // Every step starts by executing the current task. Executing a task boils
@@ -133,19 +168,35 @@ define(['q'], function (Q) {
       if (task.fn)
         return task.fn.call(p.state)
     })
-    // So, once a task is done (whether synchronous, successfull or not) the
-    // following function will be triggered. This is where we look for the 
-    // right transition to take. As seen earlier transitions are functions 
-    // which may return the name of the next state. The first name we get will
-    // be used to retrieve the next state in the process definition.
-    .fin(function() {
+    // So, once a task is done (whether synchronous or not) the following
+    // function will be triggered. This is where we look for the right
+    // transition to take. As seen earlier transitions are functions which may
+    // return the name of the next state. The first name we get will be used
+    // to retrieve the next state in the process definition.
+    .then(function() {
+      // A branch may have been dropped while its task was running. If so,
+      // there's nothing left for it to do.
+      if (p.dropped) return
+
       for (var i = 0; i < task.transitions.length; i++) {
         // (Note that the transition logic will see its 'this' as being bound to
         // execution state. This will be true as well for the task logic, and can
         // make for some leaner process definitions.)
-        var result = task.transitions[i].call(p.state)
+        //
+        // A transition which throws fails the process.
+        try {
+          var result = task.transitions[i].call(p.state)
+        } catch (e) {
+          return fail(p, e)
+        }
+
+        // A transition may also fork the process, rather than name a next
+        // task.
+        if (result instanceof Fork) return fork(p, result)
+
         if (result != undefined && result != null) {
           p.task = p.process.tasks[result]
+          p.joined = false
           
           // If the process is not done yet we'll push it back onto the queue.
           processes.push(p)
@@ -153,8 +204,9 @@ define(['q'], function (Q) {
 
           // One nice thing of Q's promises (and deferreds) is that we can
           // notify the client of progress. So as kind of service to the client
-          // we notify him of the result of each transition.
-          p.deferred.notify(p.task.id)
+          // we notify him of the result of each transition. (Branches do so
+          // through the process they belong to.)
+          notify(p, p.task.id)
           
           // We've handled the transition, and that's all we needed to do.
           return
@@ -164,15 +216,27 @@ define(['q'], function (Q) {
       // If no transition is found to match then we nullify the task, which
       // basically ends the process.
       p.task = null
-      // We now also resolve our promise of completing the process. This allows
-      // clients to coordinate other behaviour with respect to process
-      // completion.
-      p.deferred.resolve()
+      ended(p)
+    },
+    // A task which fails (by throwing, or by breaking its promise) fails the
+    // process, without transitioning. Unless it belongs to a branch which got
+    // dropped in the meantime, in which case nobody is interested anymore.
+    function(error) {
+      if (!p.dropped) fail(p, error)
     })
+  }
 
-    // If there are more processes awaiting execution we schedule another run
-    // of our executor.
-    if (!processes.length == 0) setImmediate(tick)
+  // We now also resolve our promise of completing the process. This allows
+  // clients to coordinate other behaviour with respect to process
+  // completion. When a branch ends, its process may be done as well.
+  function ended(p) {
+    if (p.parent) return settle(p.parent)
+    finished(p)
+    p.deferred.resolve()
+  }
+
+  function notify(p, task_id) {
+    root_of(p).deferred.notify(task_id)
   }
 
   // With all of the machinery in place we still need a way to start things up.
@@ -184,19 +248,247 @@ define(['q'], function (Q) {
   // not running (i.e. we did not shedule it yet for execution on the next
   // tick) then we get it started now (by scheduling it, of course).
   //
-  // As said before, we also share the promise of completing the process with
-  // the caller.
+  // The caller gets an [instance](#process-instances) in return, through
+  // which it can follow what the process is up to. As said before, we also
+  // share the promise of completing the process with the caller: the
+  // instance is as good as that promise.
   ProcessDefinition.prototype.activate = function(initial_value, initial_task) {
     if (processes.length == 0) process.nextTick(tick)
     
     var p = new Process(this, initial_value, initial_task)
     processes.push(p)
-    return p.deferred.promise
+    return instance_of(p)
   }
 
   // And that's all there's to it!
 
 
+  // ## Parallel paths
+  //
+  // So far a process does one thing at a time. But checking stock and
+  // checking credit have nothing to do with each other, so we may as well do
+  // both at once, and only move on once both are done. With asynchronous
+  // tasks that's all the more worth it, as both checks can then be waiting
+  // for an answer at the same time.
+  //
+  // For that a task can fork the process into branches, each starting from a
+  // task of its own. A branch runs much like a process of its own, taking
+  // turns with all the others. By default all branches share the state of
+  // their process. With `{ local: true }` each gets a (shallow) copy of it
+  // instead, so they can't get in each other's way.
+  //
+  //     order.task('start').fork(['check stock', 'check credit'])
+  //
+  // A fork is a transition like any other, which always applies. So it only
+  // gets taken if no earlier transition applied.
+  Task.prototype.fork = function(ids, options) {
+    return this.transition(CONST(new Fork(ids, !!(options && options.local))))
+  }
+
+  function Fork(ids, local) {
+    this.ids = ids
+    this.local = local
+  }
+
+  // The branches meet again at a join. That is a task which waits for
+  // branches to arrive, and then runs once, for the process as a whole. It
+  // may wait for all of them, or only for a given number. Once enough have
+  // arrived, whatever the others were still doing gets dropped. Branches
+  // with a state of their own hand it back to their process: their states
+  // get merged into the state of the process, in the order of the branches.
+  //
+  //     order.task('ship', ...).join().transition('invoice')
+  //     quotes.task('pick the cheapest', ...).join(2)
+  Task.prototype.join = function(count) {
+    this.joining = { count: count || 0 }
+    return this
+  }
+
+  // Forking sets the branches loose. The process itself goes nowhere until
+  // they're joined, so it stays out of the queue. A branch which starts at a
+  // task which doesn't exist is done before it started.
+  function fork(p, forking) {
+    p.branches = forking.ids.map(function(id, i) {
+      var state = forking.local ? Object.assign({}, p.state) : p.state
+      var branch = new Process(p.process, state, id, p.id + '.' + (i + 1))
+      branch.parent = p
+      branch.local = forking.local
+      return branch
+    })
+
+    p.branches.forEach(function(branch) {
+      if (branch.task == null) return
+      processes.push(branch)
+      notify(p, branch.task.id)
+    })
+    setImmediate(tick)
+    settle(p)
+  }
+
+  // A branch which arrives at a join waits there, until enough others have.
+  function arrive(branch) {
+    var p = branch.parent
+    var join = branch.task
+    branch.arrived = true
+
+    var arrived = p.branches.filter(function(b) { return b.arrived }).length
+    if (arrived >= (join.joining.count || p.branches.length)) joined(p, join)
+    else settle(p)
+  }
+
+  // Once joined, the process moves on from the join, and its branches are
+  // done.
+  function joined(p, join) {
+    p.branches.forEach(function(branch) {
+      if (branch.arrived && branch.local) Object.assign(p.state, branch.state)
+      if (branch.task != null) drop(branch)
+    })
+
+    p.branches = null
+    p.task = join
+    p.joined = true
+    processes.push(p)
+    setImmediate(tick)
+    notify(p, join.id)
+  }
+
+  function drop(p) {
+    p.dropped = true
+    if (p.branches) p.branches.forEach(function(branch) { if (branch.task != null) drop(branch) })
+  }
+
+  // When all branches are done, and not enough of them made it to the join,
+  // there's no way for the process to go on. So it ends there.
+  function settle(p) {
+    if (p.branches == null || p.dropped) return
+    if (!p.branches.every(function(branch) { return branch.arrived || branch.task == null })) return
+
+    p.branches.forEach(function(branch) { if (branch.task != null) drop(branch) })
+    p.branches = null
+    p.task = null
+    ended(p)
+  }
+
+
+  // ## Process instances
+  //
+  // Once a process is running, its client will want to keep an eye on it,
+  // and maybe step in. So activating a process hands out an instance: a
+  // handle on the process. It tells
+  //
+  // - the `id` of the process,
+  // - the id of the `task` it's at (none once it's completed),
+  // - its `status`: 'running', 'waiting' (for its branches to join, or to be
+  //   resumed), 'completed', 'failed' (with the `error` which failed it) or
+  //   'cancelled',
+  // - its `state`,
+  // - and the `promise` of completing it.
+  //
+  // It also lets the client `cancel()` the process, which ends it then and
+  // there, or `suspend()` it, after which it takes no more steps until it
+  // gets a `resume()`. A task which is already running when the process gets
+  // suspended does get to finish, but the process won't move on from it.
+  // Instances are for whole processes. Their branches have no instances of
+  // their own, but they do get cancelled, suspended and resumed along with
+  // them.
+  function Instance(p) {
+    this.id = p.id
+    this.promise = p.deferred.promise
+    Object.defineProperty(this, 'p', { value: p })
+  }
+
+  Object.defineProperties(Instance.prototype, {
+    task: { get: function() { return this.p.task ? this.p.task.id : null } },
+    state: { get: function() { return this.p.state } },
+    error: { get: function() { return this.p.error } },
+    status: { get: function() {
+      var p = this.p
+      if (p.cancelled) return 'cancelled'
+      if (p.failed) return 'failed'
+      if (p.task == null) return 'completed'
+      if (p.suspended || p.branches) return 'waiting'
+      return 'running'
+    }}
+  })
+
+  // Activating a process used to hand out just the promise of completing it.
+  // So that code written for that keeps working, an instance also acts as
+  // that promise. That includes the methods Q has since deprecated (`fail`,
+  // `fin` and `progress`), as such code, like the weather example, still
+  // uses them. New code is better off with `then`, `catch` and `done`.
+  ;['then', 'catch', 'fail', 'fin', 'progress', 'done'].forEach(function(method) {
+    Instance.prototype[method] = function() {
+      return this.promise[method].apply(this.promise, arguments)
+    }
+  })
+
+  // Cancelling a process breaks the promise of completing it.
+  Instance.prototype.cancel = function() {
+    var p = this.p
+    if (!live[p.id]) return this
+
+    p.cancelled = true
+    drop(p)
+    finished(p)
+    p.deferred.reject(new Error('Process ' + p.id + ' was cancelled.'))
+    return this
+  }
+
+  Instance.prototype.suspend = function() {
+    var p = this.p
+    if (!live[p.id]) return this
+
+    p.suspended = true
+    return this
+  }
+
+  // Whatever got put aside while the process was suspended goes back into
+  // the queue.
+  Instance.prototype.resume = function() {
+    var p = this.p
+    if (!live[p.id] || !p.suspended) return this
+
+    p.suspended = false
+    var parked = p.parked.splice(0)
+    if (parked.length == 0) return this
+
+    if (processes.length == 0) setImmediate(tick)
+    processes.push.apply(processes, parked)
+    return this
+  }
+
+  // The engine keeps the instances of all processes which aren't done yet,
+  // so that clients can ask for them.
+  var live = {}
+
+  function instances() {
+    return Object.keys(live).map(function(id) { return live[id] })
+  }
+
+  function instance_of(p) {
+    return live[p.id] = new Instance(p)
+  }
+
+  function finished(p) {
+    delete live[p.id]
+  }
+
+  // A process which fails, branches and all, breaks its promise as well.
+  function fail(p, error) {
+    var root = root_of(p)
+    root.failed = true
+    root.error = error
+    drop(root)
+    finished(root)
+    root.deferred.reject(error)
+  }
+
+  function root_of(p) {
+    while (p.parent) p = p.parent
+    return p
+  }
+
+
   // ## Supporting functions
   //
   // These are some utility definitions which help simplify the main code.
@@ -209,14 +501,20 @@ define(['q'], function (Q) {
   // between tasks.
   function CONST(val){ return function() { return val }}
 
+  // This makes up an id which is very unlikely to have been used before.
+  function unique_id() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 10)
+  }
+
 
   // ## Public API
   //
-  // The only thing we're exposing to clients is the ProcessDefinition
-  // constructor. From there the clients can define processes and activate
-  // them.
+  // We're exposing the ProcessDefinition constructor to clients. From there
+  // the clients can define processes and activate them. Next to that they
+  // can ask for the instances of all processes which are still going.
   return {
-    ProcessDefinition: ProcessDefinition
+    ProcessDefinition: ProcessDefinition,
+    instances: instances
   }
 })
 
@@ -0,0 +1,76 @@
+// # Example - Keeping an eye on processes
+//
+// Activating a process hands us an instance of it. This example follows a
+// few instances as they go, and steps in on some of them. It checks what it
+// sees as it goes along, so it doubles as a test. (Which is why every
+// promise ends in `done()`: that way a failed check doesn't go unnoticed.)
+
+var assert = require('assert')
+var requirejs = require('requirejs')
+requirejs(['pvm-q', 'q'], function(pvm, Q) {
+
+  // Fetching takes a while, and may fail.
+  var fetch = new pvm.ProcessDefinition('fetch')
+
+  fetch.task('start', function() {
+    var state = this
+    return Q.delay(10).then(function() {
+      if (state.url.indexOf('http') != 0) throw new Error('Not a url: ' + state.url)
+      state.fetched = true
+    })
+  })
+  .transition('store')
+
+  fetch.task('store', function() {
+    console.log('[' + this.url + '] Stored.')
+  })
+
+  var fine = fetch.activate({ url: 'http://example.com' })
+  var broken = fetch.activate({ url: 'example.com' })
+  var cancelled = fetch.activate({ url: 'http://example.org' })
+  var suspended = fetch.activate({ url: 'http://example.net' })
+
+  assert.equal(fine.status, 'running')
+  assert.equal(fine.task, 'start')
+  assert.equal(pvm.instances().length, 4)
+
+  cancelled.cancel()
+  suspended.suspend()
+  assert.equal(cancelled.status, 'cancelled')
+  assert.equal(suspended.status, 'waiting')
+
+  // Instances are as good as the promise of completing their process.
+  fine.then(function() {
+    console.log('[' + fine.state.url + '] ' + fine.status + '.')
+    assert.equal(fine.status, 'completed')
+    assert.equal(fine.task, null)
+  })
+  .done()
+
+  // A task which fails, fails its process.
+  broken.catch(function(error) {
+    console.log('[' + broken.state.url + '] ' + broken.status + ': ' + error.message)
+    assert.equal(broken.status, 'failed')
+    assert.equal(broken.error, error)
+    assert.equal(broken.task, 'start')
+  })
+  .done()
+
+  cancelled.catch(function(error) {
+    console.log('[' + cancelled.state.url + '] ' + cancelled.status + '.')
+  })
+  .done()
+
+  // A suspended process stays put until it's resumed.
+  setTimeout(function() {
+    assert.equal(suspended.task, 'start')
+    assert.deepEqual(pvm.instances().map(function(instance) { return instance.id }), [suspended.id])
+
+    suspended.resume()
+    suspended.then(function() {
+      console.log('[' + suspended.state.url + '] ' + suspended.status + '.')
+      assert.equal(pvm.instances().length, 0)
+    })
+    .done()
+  }, 50)
+})
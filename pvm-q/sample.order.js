@@ -0,0 +1,88 @@
+// # Example - Parallel paths
+//
+// An order needs checking before we can ship it: is it in stock, and is the
+// customer good for it? Those checks have nothing to do with each other, so
+// we do both at the same time. Meanwhile we also ask a few carriers for a
+// quote, and go with whichever two answer first.
+//
+// Unlike the synchronous version, the tasks here take their time. So the
+// branches really are waiting for their answers at the same time.
+
+var requirejs = require('requirejs')
+requirejs(['pvm-q', 'q'], function(pvm, Q) {
+
+  var order = new pvm.ProcessDefinition('order')
+
+  // The checks share the state of the order, as each of them only adds
+  // something of its own to it.
+  order.task('start', function() {
+    console.log('[' + this.item + '] Checking the order.')
+  })
+  .fork(['check stock', 'check credit'])
+
+  order.task('check stock', function() {
+    console.log('[' + this.item + '] Looking for it in the warehouse.')
+    var order = this
+    return Q.delay(30).then(function() { order.in_stock = true })
+  })
+  .transition('checked')
+
+  order.task('check credit', function() {
+    console.log('[' + this.item + '] Checking credit.')
+    var order = this
+    return Q.delay(10).then(function() { order.credit_ok = order.price < 100 })
+  })
+  .transition('checked')
+
+  // Once both checks are in we ask for quotes. Each carrier gets a state of
+  // its own to put its quote in.
+  order.task('checked', function() {
+    console.log('[' + this.item + '] In stock: ' + this.in_stock + ', credit ok: ' + this.credit_ok + '.')
+  })
+  .join()
+  .transition(function() {
+    if (!this.in_stock || !this.credit_ok) return 'refused'
+  })
+  .fork(['ask the post', 'ask a courier', 'ask a friend'], { local: true })
+
+  // Each carrier answers in its own good time.
+  function quote(carrier, price, delay) {
+    return function() {
+      console.log('[' + this.item + '] Asking the ' + carrier + '.')
+      var quotes = this
+      return Q.delay(delay).then(function() { quotes[carrier] = price })
+    }
+  }
+
+  order.task('ask the post', quote('post', 5, 20)).transition('quoted')
+  order.task('ask a courier', quote('courier', 4, 200)).transition('quoted')
+  order.task('ask a friend', quote('friend', 3, 10)).transition('quoted')
+
+  // Two quotes will do. By now the courier is no longer needed, so its
+  // quote never makes it in.
+  order.task('quoted', function() {
+    var quotes = ['post', 'courier', 'friend'].filter(function(carrier) {
+      return this[carrier] !== undefined
+    }, this)
+    console.log('[' + this.item + '] Quotes: ' + quotes.map(function(carrier) {
+      return carrier + ' ' + this[carrier]
+    }, this).join(', ') + '.')
+  })
+  .join(2)
+  .transition('ship')
+
+  order.task('ship', function() {
+    console.log('[' + this.item + '] Shipped.')
+  })
+
+  order.task('refused', function() {
+    console.log('[' + this.item + '] Refused.')
+  })
+
+  // We log when each order is done.
+  ;[{ item: 'book', price: 20 }, { item: 'piano', price: 2000 }].forEach(function(state) {
+    order.activate(state).promise.then(function() {
+      console.log('[' + state.item + '] Done.')
+    })
+  })
+})
@@ -1,7 +1,7 @@
 // # A Minimalist Process Virtual Machine
 //
 
-define([], function () {
+define(['fs'], function (fs) {
 
   // ## Defining Processes
   //
@@ -15,14 +15,21 @@ define([], function () {
   function ProcessDefinition(id) {
     this.id = id || ''
     this.tasks = {}
+    definitions[this.id] = this
   }
 
+  // That time has come, and so we keep track of all process definitions by
+  // their name. When we pick up a persisted process again, this is how we
+  // find its definition. (So do give them different names.)
+  var definitions = {}
+
   // A task too is a named entity, with some optional behaviour and a list of
   // outgoing transitions.
   function Task(id, fn) {
     this.id = id
     this.fn = fn || NOP
     this.transitions = []
+    this.joining = null
   }
 
   // Tasks should be created by asking the process definition for a named task.
@@ -74,10 +81,33 @@ define([], function () {
   // 'start'. But this can be overridden by specifying the start state as an
   // argument. This also allows us to model process which can have many
   // different starting points.
-  function Process(process_definition, initial_state, initial_task) {
+  //
+  // Every process also gets an id of its own, so that we can tell it apart
+  // from the others once it has been [persisted](#persisting-processes). As
+  // those ids have to survive a restart of the engine, a counter won't do. So
+  // we mix the time with some randomness instead.
+  //
+  // (The rest is for processes which run along [parallel
+  // paths](#parallel-paths), and for keeping an eye on [process
+  // instances](#process-instances).)
+  function Process(process_definition, initial_state, initial_task, id) {
+    this.id = id || unique_id()
     this.process = process_definition
     this.state = initial_state || {}
     this.task = process_definition.tasks[initial_task || 'start']
+
+    this.parent = null
+    this.local = false
+    this.branches = null
+    this.arrived = false
+    this.joined = false
+    this.dropped = false
+
+    this.suspended = false
+    this.parked = []
+    this.cancelled = false
+    this.failed = false
+    this.error = null
   }
 
   // So now we come down to the overall execution logic. The engine needs to
@@ -101,46 +131,82 @@ define([], function () {
   //
   // So that's what the following function does. On each run it steps a single
   // process. Then, if there is more work left to be done, it reschedules
-  // itself through 'setImmediate'.
+  // itself through 'setImmediate'. We keep track of whether a run is already
+  // scheduled (or under way), so that processes added in the meantime don't
+  // start a second loop alongside the first.
+  var scheduled = false
+
   function tick() {
-    // We fetch the first process and task from the queue.
+    // We fetch the first process from the queue, and have it take a step.
+    // Unless it's a branch of a process which no longer needs it, or a branch
+    // which has reached a join. We'll get to those when we get to [parallel
+    // paths](#parallel-paths). Or unless it got [suspended](#process-instances),
+    // in which case it gets put aside until it's resumed.
     var p = processes.shift()
+
+    stepping = true
+    try {
+      if (p.dropped) {}
+      else if (root_of(p).suspended) root_of(p).parked.push(p)
+      else if (p.task.joining && p.parent && !p.joined) arrive(p)
+      else step(p)
+    } finally {
+      stepping = false
+    }
+    write_snapshots()
+
+    // If there are more processes awaiting execution we schedule another run
+    // of our executor.
+    scheduled = processes.length > 0
+    if (scheduled) setImmediate(tick)
+  }
+
+  function step(p) {
     var task = p.task
 
     // Every step starts by executing the current task. Executing a task boils
     // down to invoking the registered function. As we do so we tell it to use
     // the current process state as 'this'. This allows for some more concise
     // task logic.
-    if (task.fn) task.fn.call(p.state)
-
-    // Once that's done we look for the right transition to take. As seen
-    // earlier, transitions are functions which may return the name of the next
-    // state. The first name we get will be used to retrieve the next state in
-    // the process definition.
-    var next_task = null
-    for (var i = 0; i < task.transitions.length; i++) {
-      // (Note that the transition logic will see its 'this' as being bound to
-      // execution state. This will be true as well for the task logic, and can
-      // make for some leaner process definitions.)
-      var result = task.transitions[i].call(p.state)
-      if (result != undefined && result != null) {
-        next_task = p.process.tasks[result]
-        break
+    //
+    // Should the task (or a transition) throw, the process fails.
+    var result = null
+    try {
+      if (task.fn) task.fn.call(p.state)
+
+      // Once that's done we look for the right transition to take. As seen
+      // earlier, transitions are functions which may return the name of the
+      // next state. The first name we get will be used to retrieve the next
+      // state in the process definition.
+      for (var i = 0; i < task.transitions.length; i++) {
+        // (Note that the transition logic will see its 'this' as being bound
+        // to execution state. This will be true as well for the task logic,
+        // and can make for some leaner process definitions.)
+        result = task.transitions[i].call(p.state)
+        if (result != undefined && result != null) break
       }
+    } catch (e) {
+      return fail(p, e)
     }
 
+    // A transition may also fork the process, rather than name a next task.
+    if (result instanceof Fork) return fork(p, result)
+
     // We then assign the next task to the process. Not that this may be a
     // 'null' value.
-    p.task = next_task
+    p.task = result != undefined && result != null ? p.process.tasks[result] : null
+    p.joined = false
+
+    // Now that the step is done we persist where the process is at, if we
+    // were asked to.
+    persisted(p)
 
     // If it is a 'null' value we have basically concluded that the process is
     // done. If it's not 'null' then there still is more work to do, in which
     // case we re-enqueue it on our list of processes.
     if (p.task != null) processes.push(p)
-
-    // If there are more processes awaiting execution we schedule another run
-    // of our executor.
-    if (!processes.length == 0) setImmediate(tick)
+    else if (p.parent) settle(p.parent)
+    else finished(p)
   }
 
   // With all of the machinery in place we still need a way to start things up.
@@ -151,14 +217,450 @@ define([], function () {
   // adds it to the list of processes. In addition, if the process engine is
   // not running (i.e. we did not shedule it yet for execution on the next
   // tick) then we get it started now (by scheduling it, of course).
+  //
+  // The client gets an [instance](#process-instances) in return, through
+  // which it can follow what the process is up to.
   ProcessDefinition.prototype.activate = function(initial_state, initial_task) {
-    if (processes.length == 0) process.nextTick(tick)
-    processes.push(new Process(this, initial_state, initial_task))
+    var p = new Process(this, initial_state, initial_task)
+    persisted(p)
+    enqueue(p)
+    return instance_of(p)
+  }
+
+  function enqueue(p) {
+    if (!scheduled) process.nextTick(tick)
+    scheduled = true
+    processes.push(p)
   }
 
   // And that's all there's to it!
 
 
+  // ## Persisting processes
+  //
+  // Well, almost. All of the above lives in memory, so when the engine stops
+  // any processes which were still running are gone. Which, for processes
+  // which may take a while, is not what we want.
+  //
+  // So we can ask the engine to persist processes. From then on it takes a
+  // snapshot of every process after every step: its id, the id of its
+  // definition, the id of the task it's at, and its state. Once a process is
+  // done its snapshot gets removed. This does mean that the state of a
+  // process must be something we can store, such as plain JSON data.
+  //
+  // Where the snapshots go is up to a store. A store is any object with two
+  // functions:
+  //
+  // - `save(snapshots, removed)` stores the given snapshots, replacing any
+  //   earlier ones for the same processes, and forgets the snapshots of the
+  //   processes whose ids are in `removed`,
+  // - `load()` returns all snapshots it holds.
+  //
+  // Unless told otherwise we use a [file store](#a-file-store).
+  var store = null
+
+  function persist(a_store) {
+    store = a_store || new FileStore()
+    return store
+  }
+
+  // A single step may change several processes: forking, for one, changes
+  // the process and all of its branches. So during a step we only note what
+  // changed, and hand it all to the store in one go once the step is done.
+  // Changes made outside of a step, by a client, go to the store right away.
+  var changed = []
+  var stepping = false
+
+  function persisted(p) {
+    if (store == null) return
+
+    if (changed.indexOf(p) < 0) changed.push(p)
+
+    // Branches which share the state of their process change that state, so
+    // that process needs a new snapshot as well.
+    if (p.parent && !p.local) persisted(p.parent)
+    else if (!stepping) write_snapshots()
+  }
+
+  function write_snapshots() {
+    if (store == null || changed.length == 0) return
+
+    var saved = []
+    var removed = []
+    changed.splice(0).forEach(function(p) {
+      if (p.task == null || p.dropped) removed.push(p.id)
+      else saved.push(snapshot_of(p))
+    })
+    store.save(saved, removed)
+  }
+
+  // Processes which [forked](#parallel-paths) note how many branches they
+  // have, and whether they just joined them. Branches note which process
+  // they belong to, and whether they arrived at their join. Those which
+  // share the state of their process leave it to that process to store.
+  function snapshot_of(p) {
+    var snapshot = {
+      id: p.id,
+      definition: p.process.id,
+      task: p.task.id,
+      state: p.state
+    }
+
+    if (p.branches) snapshot.branches = p.branches.length
+    if (p.joined) snapshot.joined = true
+    if (p.suspended) snapshot.suspended = true
+    if (p.parent) {
+      snapshot.parent = p.parent.id
+      snapshot.local = p.local
+      snapshot.arrived = p.arrived
+      if (!p.local) delete snapshot.state
+    }
+
+    return snapshot
+  }
+
+  // When the engine starts again we'll want to pick up where we left off.
+  // This loads all snapshots, and gets their processes running again from
+  // the task they were at. The process definitions must have been set up
+  // again by then, as that's where the tasks come from. We return
+  // [instances](#process-instances) of the processes we resumed. (Those which
+  // were suspended stay suspended.)
+  //
+  // Note that a process picks up from the last step which was persisted. If
+  // the engine stopped halfway through a task, that task gets run again.
+  //
+  // Branches need their process to be back before they are, so we revive
+  // processes in that order. Branches which were done by the time we
+  // stopped left no snapshot, so we know them as done. Only processes which
+  // aren't waiting for their branches, or at a join, go back into the queue.
+  //
+  // A branch may also have outlived its process, if the store lost track of
+  // the one but not the other. Such a branch can never be joined again, so
+  // we leave it be, and drop its snapshot.
+  //
+  // Processes which are running already, because we resumed them before or
+  // they never stopped, stay as they are, branches and all. Their snapshots
+  // are no news to us.
+  function resume(a_store) {
+    if (a_store || store == null) persist(a_store)
+
+    var snapshots = {}
+    store.load().forEach(function(snapshot) { snapshots[snapshot.id] = snapshot })
+
+    var resumed = {}
+    var orphans = []
+    function revive(id) {
+      if (id in resumed) return resumed[id]
+
+      var snapshot = snapshots[id]
+      if (!snapshot) return null
+      if (live[id]) return resumed[id] = RUNNING
+
+      var parent = snapshot.parent === undefined ? null : revive(snapshot.parent)
+      if (parent === RUNNING) return resumed[id] = RUNNING
+      if (snapshot.parent !== undefined && (!parent || !parent.branches)) {
+        orphans.push(snapshot.id)
+        return resumed[id] = null
+      }
+
+      var definition = definitions[snapshot.definition]
+      if (!definition)
+        throw new Error('Cannot resume process ' + snapshot.id
+          + ', as there is no process definition named \'' + snapshot.definition + '\'.')
+      if (!definition.tasks[snapshot.task])
+        throw new Error('Cannot resume process ' + snapshot.id
+          + ', as there is no task named \'' + snapshot.task + '\'.')
+
+      var state = parent && !snapshot.local ? parent.state : snapshot.state
+      var p = new Process(definition, state, snapshot.task, snapshot.id)
+      p.joined = !!snapshot.joined
+      p.suspended = !!snapshot.suspended
+
+      if (snapshot.branches)
+        p.branches = Array.apply(null, Array(snapshot.branches)).map(function() { return DONE })
+
+      if (parent) {
+        p.parent = parent
+        p.local = snapshot.local
+        p.arrived = snapshot.arrived
+        parent.branches[Number(p.id.substring(parent.id.length + 1)) - 1] = p
+      }
+
+      return resumed[id] = p
+    }
+
+    Object.keys(snapshots).forEach(revive)
+    if (orphans.length > 0) store.save([], orphans)
+
+    var instances = []
+    Object.keys(resumed).forEach(function(id) {
+      var p = resumed[id]
+      if (!p || p === RUNNING) return
+      if (!p.branches && !p.arrived) {
+        if (root_of(p).suspended) root_of(p).parked.push(p)
+        else enqueue(p)
+      }
+      if (!p.parent) instances.push(instance_of(p))
+    })
+    return instances
+  }
+
+  // ### A file store
+  //
+  // The simplest store keeps all snapshots in a single JSON file, keyed by
+  // process id. We read it once, and write it out again on every change. To
+  // make sure we never leave a half written file behind we write to a
+  // temporary file first, and then move that into place.
+  //
+  // Writing all of the file means every step costs more the more processes
+  // there are: fine for a few dozen, not for thousands. A store which saves
+  // snapshots one by one, such as a database, would do better there.
+  function FileStore(file) {
+    this.file = file || 'processes.json'
+    this.snapshots = null
+  }
+
+  FileStore.prototype.load = function() {
+    var snapshots = this.read()
+    return Object.keys(snapshots).map(function(id) { return snapshots[id] })
+  }
+
+  FileStore.prototype.save = function(snapshots, removed) {
+    var stored = this.read()
+    removed = removed.filter(function(id) { return id in stored })
+    if (snapshots.length == 0 && removed.length == 0) return
+
+    snapshots.forEach(function(snapshot) {
+      stored[snapshot.id] = JSON.parse(JSON.stringify(snapshot))
+    })
+    removed.forEach(function(id) { delete stored[id] })
+    this.write()
+  }
+
+  FileStore.prototype.read = function() {
+    if (this.snapshots == null)
+      this.snapshots = fs.existsSync(this.file)
+        ? JSON.parse(fs.readFileSync(this.file, 'utf8'))
+        : {}
+    return this.snapshots
+  }
+
+  FileStore.prototype.write = function() {
+    fs.writeFileSync(this.file + '.tmp', JSON.stringify(this.snapshots, null, 2))
+    fs.renameSync(this.file + '.tmp', this.file)
+  }
+
+
+  // ## Parallel paths
+  //
+  // So far a process does one thing at a time. But checking stock and
+  // checking credit have nothing to do with each other, so we may as well do
+  // both at once, and only move on once both are done.
+  //
+  // For that a task can fork the process into branches, each starting from a
+  // task of its own. A branch runs much like a process of its own, taking
+  // turns with all the others. By default all branches share the state of
+  // their process. With `{ local: true }` each gets a (shallow) copy of it
+  // instead, so they can't get in each other's way.
+  //
+  //     order.task('start').fork(['check stock', 'check credit'])
+  //
+  // A fork is a transition like any other, which always applies. So it only
+  // gets taken if no earlier transition applied.
+  Task.prototype.fork = function(ids, options) {
+    return this.transition(CONST(new Fork(ids, !!(options && options.local))))
+  }
+
+  function Fork(ids, local) {
+    this.ids = ids
+    this.local = local
+  }
+
+  // The branches meet again at a join. That is a task which waits for
+  // branches to arrive, and then runs once, for the process as a whole. It
+  // may wait for all of them, or only for a given number. Once enough have
+  // arrived, whatever the others were still doing gets dropped. Branches
+  // with a state of their own hand it back to their process: their states
+  // get merged into the state of the process, in the order of the branches.
+  //
+  //     order.task('ship', ...).join().transition('invoice')
+  //     quotes.task('pick the cheapest', ...).join(2)
+  Task.prototype.join = function(count) {
+    this.joining = { count: count || 0 }
+    return this
+  }
+
+  // Forking sets the branches loose. The process itself goes nowhere until
+  // they're joined, so it stays out of the queue. The ids of the branches
+  // follow from the id of their process, which is how we find them again
+  // when resuming. A branch which starts at a task which doesn't exist is
+  // done before it started.
+  function fork(p, forking) {
+    p.branches = forking.ids.map(function(id, i) {
+      var state = forking.local ? Object.assign({}, p.state) : p.state
+      var branch = new Process(p.process, state, id, p.id + '.' + (i + 1))
+      branch.parent = p
+      branch.local = forking.local
+      return branch
+    })
+
+    persisted(p)
+    p.branches.forEach(function(branch) {
+      if (branch.task == null) return
+      persisted(branch)
+      processes.push(branch)
+    })
+    settle(p)
+  }
+
+  // A branch which arrives at a join waits there, until enough others have.
+  function arrive(branch) {
+    var p = branch.parent
+    var join = branch.task
+    branch.arrived = true
+    persisted(branch)
+
+    var arrived = p.branches.filter(function(b) { return b.arrived }).length
+    if (arrived >= (join.joining.count || p.branches.length)) joined(p, join)
+    else settle(p)
+  }
+
+  // Once joined, the process moves on from the join, and its branches are
+  // done.
+  function joined(p, join) {
+    p.branches.forEach(function(branch) {
+      if (branch.arrived && branch.local) Object.assign(p.state, branch.state)
+      if (branch.task != null) drop(branch)
+    })
+
+    p.branches = null
+    p.task = join
+    p.joined = true
+    persisted(p)
+    processes.push(p)
+  }
+
+  function drop(p) {
+    p.dropped = true
+    persisted(p)
+    if (p.branches) p.branches.forEach(function(branch) { if (branch.task != null) drop(branch) })
+  }
+
+  // When all branches are done, and not enough of them made it to the join,
+  // there's no way for the process to go on. So it ends there.
+  function settle(p) {
+    if (p.branches == null || p.dropped) return
+    if (!p.branches.every(function(branch) { return branch.arrived || branch.task == null })) return
+
+    p.branches.forEach(function(branch) { if (branch.task != null) drop(branch) })
+    p.branches = null
+    p.task = null
+    persisted(p)
+    if (p.parent) settle(p.parent)
+    else finished(p)
+  }
+
+
+  // ## Process instances
+  //
+  // Once a process is running, its client will want to keep an eye on it,
+  // and maybe step in. So activating a process hands out an instance: a
+  // handle on the process. It tells
+  //
+  // - the `id` of the process,
+  // - the id of the `task` it's at (none once it's completed),
+  // - its `status`: 'running', 'waiting' (for its branches to join, or to be
+  //   resumed), 'completed', 'failed' (with the `error` which failed it) or
+  //   'cancelled',
+  // - and its `state`.
+  //
+  // It also lets the client `cancel()` the process, which ends it then and
+  // there, or `suspend()` it, after which it takes no more steps until it
+  // gets a `resume()`. Instances are for whole processes. Their branches
+  // have no instances of their own, but they do get cancelled, suspended and
+  // resumed along with them.
+  function Instance(p) {
+    this.id = p.id
+    Object.defineProperty(this, 'p', { value: p })
+  }
+
+  Object.defineProperties(Instance.prototype, {
+    task: { get: function() { return this.p.task ? this.p.task.id : null } },
+    state: { get: function() { return this.p.state } },
+    error: { get: function() { return this.p.error } },
+    status: { get: function() {
+      var p = this.p
+      if (p.cancelled) return 'cancelled'
+      if (p.failed) return 'failed'
+      if (p.task == null) return 'completed'
+      if (p.suspended || p.branches) return 'waiting'
+      return 'running'
+    }}
+  })
+
+  Instance.prototype.cancel = function() {
+    var p = this.p
+    if (!live[p.id]) return this
+
+    p.cancelled = true
+    drop(p)
+    finished(p)
+    return this
+  }
+
+  Instance.prototype.suspend = function() {
+    var p = this.p
+    if (!live[p.id]) return this
+
+    p.suspended = true
+    persisted(p)
+    return this
+  }
+
+  // Whatever got put aside while the process was suspended goes back into
+  // the queue.
+  Instance.prototype.resume = function() {
+    var p = this.p
+    if (!live[p.id] || !p.suspended) return this
+
+    p.suspended = false
+    persisted(p)
+    p.parked.splice(0).forEach(enqueue)
+    return this
+  }
+
+  // The engine keeps the instances of all processes which aren't done yet,
+  // so that clients can ask for them.
+  var live = {}
+
+  function instances() {
+    return Object.keys(live).map(function(id) { return live[id] })
+  }
+
+  function instance_of(p) {
+    return live[p.id] = new Instance(p)
+  }
+
+  function finished(p) {
+    delete live[p.id]
+  }
+
+  // A task or transition which throws fails its whole process, branches and
+  // all.
+  function fail(p, error) {
+    var root = root_of(p)
+    root.failed = true
+    root.error = error
+    drop(root)
+    finished(root)
+  }
+
+  function root_of(p) {
+    while (p.parent) p = p.parent
+    return p
+  }
+
+
   // ## Supporting functions
   //
   // These are some utility definitions which help simplify the main code.
@@ -171,14 +673,30 @@ define([], function () {
   // between tasks.
   function CONST(val){ return function() { return val }}
 
+  // This stands in for a branch which was done before we resumed.
+  var DONE = { task: null, arrived: false }
+
+  // And this for a process which was running already when we resumed.
+  var RUNNING = {}
+
+  // This makes up an id which is very unlikely to have been used before.
+  function unique_id() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 10)
+  }
+
 
   // ## Public API
   //
-  // The only thing we're exposing to clients is the ProcessDefinition
-  // constructor. From there the clients can define processes and activate
-  // them.
+  // We're exposing the ProcessDefinition constructor to clients. From there
+  // the clients can define processes and activate them. Next to that they
+  // can have processes persisted, resume them later, and ask for the
+  // instances of all processes which are still going.
   return {
-    ProcessDefinition: ProcessDefinition
+    ProcessDefinition: ProcessDefinition,
+    persist: persist,
+    resume: resume,
+    FileStore: FileStore,
+    instances: instances
   }
 })
 
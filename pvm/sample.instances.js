@@ -0,0 +1,48 @@
+// # Example - Processes keeping an eye on each other
+//
+// Activating a process hands us an instance of it, which we can use to
+// suspend and resume it. Nothing says only the client gets to do so: here a
+// process is kept waiting until another one resumes it, from within one of
+// its tasks. The example checks what it sees as it goes along, so it doubles
+// as a test.
+
+var assert = require('assert')
+var requirejs = require('requirejs')
+requirejs(['pvm'], function(pvm) {
+
+  var log = []
+
+  // Baking a cake takes a few steps.
+  var bake = new pvm.ProcessDefinition('bake')
+
+  bake.task('start', function() { log.push('mixing') })
+    .transition('bake')
+  bake.task('bake', function() { log.push('baking') })
+    .transition('serve')
+  bake.task('serve', function() { log.push('serving') })
+
+  // But the oven needs heating first. Once it's hot, it lets the baking go on.
+  var heat = new pvm.ProcessDefinition('heat')
+
+  heat.task('start', function() { log.push('heating') })
+    .transition('hot')
+  heat.task('hot', function() {
+    log.push('hot')
+    this.cake.resume()
+  })
+
+  var cake = bake.activate()
+  cake.suspend()
+  var oven = heat.activate({ cake: cake })
+
+  assert.equal(cake.status, 'waiting')
+  assert.equal(pvm.instances().length, 2)
+
+  setTimeout(function() {
+    console.log(log.join(', ') + '.')
+    assert.deepEqual(log, ['heating', 'hot', 'mixing', 'baking', 'serving'])
+    assert.equal(cake.status, 'completed')
+    assert.equal(oven.status, 'completed')
+    assert.equal(pvm.instances().length, 0)
+  }, 50)
+})
@@ -0,0 +1,101 @@
+// # Example - Parallel paths
+//
+// An order needs checking before we can ship it: is it in stock, and is the
+// customer good for it? Those checks have nothing to do with each other, so
+// we do both at the same time. Meanwhile we also ask a few carriers for a
+// quote, and go with whichever two answer first.
+
+var requirejs = require('requirejs')
+requirejs(['pvm'], function(pvm) {
+
+  var order = new pvm.ProcessDefinition('order')
+
+  // The checks share the state of the order, as each of them only adds
+  // something of its own to it.
+  order.task('start', function() {
+    console.log('[' + this.item + '] Checking the order.')
+  })
+  .fork(['check stock', 'check credit'])
+
+  // Checking the stock takes a couple of steps, so the other branch gets a
+  // turn in between.
+  order.task('check stock', function() {
+    console.log('[' + this.item + '] Looking for it in the warehouse.')
+  })
+  .transition('reserve stock')
+
+  order.task('reserve stock', function() {
+    console.log('[' + this.item + '] Putting one aside.')
+    this.in_stock = true
+  })
+  .transition('checked')
+
+  order.task('check credit', function() {
+    console.log('[' + this.item + '] Checking credit.')
+    this.credit_ok = this.price < 100
+  })
+  .transition('checked')
+
+  // Once both checks are in we ask for quotes. Each carrier gets a state of
+  // its own to put its quote in.
+  order.task('checked', function() {
+    console.log('[' + this.item + '] In stock: ' + this.in_stock + ', credit ok: ' + this.credit_ok + '.')
+  })
+  .join()
+  .transition(function() {
+    if (!this.in_stock || !this.credit_ok) return 'refused'
+  })
+  .fork(['ask the post', 'ask a courier', 'ask a friend'], { local: true })
+
+  order.task('ask the post', function() {
+    console.log('[' + this.item + '] The post quotes 5.')
+    this.post = 5
+  })
+  .transition('quoted')
+
+  // The courier only answers after asking around a bit.
+  order.task('ask a courier', function() {
+    this.asked = (this.asked || 0) + 1
+    console.log('[' + this.item + '] The courier is asking around (' + this.asked + ').')
+  })
+  .transition(function() {
+    if (this.asked < 3) return 'ask a courier'
+  })
+  .transition('courier quotes')
+
+  order.task('courier quotes', function() {
+    console.log('[' + this.item + '] The courier quotes 4.')
+    this.courier = 4
+  })
+  .transition('quoted')
+
+  order.task('ask a friend', function() {
+    console.log('[' + this.item + '] A friend quotes 3.')
+    this.friend = 3
+  })
+  .transition('quoted')
+
+  // Two quotes will do. By now the courier is no longer needed, so its
+  // quote never makes it in.
+  order.task('quoted', function() {
+    var quotes = ['post', 'courier', 'friend'].filter(function(carrier) {
+      return this[carrier] !== undefined
+    }, this)
+    console.log('[' + this.item + '] Quotes: ' + quotes.map(function(carrier) {
+      return carrier + ' ' + this[carrier]
+    }, this).join(', ') + '.')
+  })
+  .join(2)
+  .transition('ship')
+
+  order.task('ship', function() {
+    console.log('[' + this.item + '] Shipped.')
+  })
+
+  order.task('refused', function() {
+    console.log('[' + this.item + '] Refused.')
+  })
+
+  order.activate({ item: 'book', price: 20 })
+  order.activate({ item: 'piano', price: 2000 })
+})
@@ -0,0 +1,58 @@
+// # Example - Resuming processes
+//
+// Processes which get persisted survive the engine stopping. Run this example
+// twice. The first time around it stops halfway through counting, much as if
+// the machine it ran on had crashed. The second time around it picks up
+// where it left off.
+
+var assert = require('assert')
+var fs = require('fs')
+var path = require('path')
+var os = require('os')
+
+var requirejs = require('requirejs')
+requirejs(['pvm'], function(pvm) {
+
+  // Persisted processes get found again by the name of their definition, so
+  // this time we do need to give it one.
+  var counting = new pvm.ProcessDefinition('counting')
+
+  counting.task('start', function() {
+    this.count = 0
+  })
+  .transition('count')
+
+  // Counting goes on until we reach ten. Unless we weren't resumed, in which
+  // case we crash when we reach five.
+  counting.task('count', function() {
+    this.count++
+    console.log('Counted to ' + this.count + '.')
+
+    if (this.count == 5 && resumed.length == 0) {
+      console.log('Crash!')
+      process.exit()
+    }
+  })
+  .transition(function() {
+    if (this.count < 10) return 'count'
+  })
+
+  // We keep our snapshots in a file of our own, and pick up whatever was
+  // left unfinished. If there was nothing, we start counting.
+  var file = path.join(os.tmpdir(), 'pvm-sample-resume.json')
+  pvm.persist(new pvm.FileStore(file))
+
+  // Once there's nothing left unfinished, we clean up after ourselves.
+  process.on('exit', function() {
+    if (pvm.instances().length == 0 && fs.existsSync(file)) fs.unlinkSync(file)
+  })
+
+  var resumed = pvm.resume()
+  if (resumed.length > 0)
+    console.log('Resuming ' + resumed.map(function(instance) { return instance.id }).join(', ') + '.')
+  else
+    counting.activate()
+
+  // Whatever is running now stays as it is, should we try to resume it again.
+  assert.equal(pvm.resume().length, 0)
+})